@@ -0,0 +1,9 @@
+// Runs the pricing engine off the page: loading, costing, filtering and sorting.
+// See CraftingProPlatform.requestPricing() for the messages it answers.
+importScripts('script.js');
+
+const engine = new CraftingProPlatform({ worker: true });
+
+self.onmessage = (event) => {
+    engine.handlePricingMessage(event.data, response => self.postMessage(response));
+};
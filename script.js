@@ -1,33 +1,179 @@
 class CraftingProPlatform {
-    constructor() {
+    constructor({ worker = false } = {}) {
+        // Workers have no localStorage; their settings arrive with each pricing request
+        const storage = typeof localStorage === 'undefined' ? { getItem: () => null } : localStorage;
         this.auctionData = {};
         this.recipes = [];
+        this.processedRecipes = [];
         this.filteredRecipes = [];
+        this.recipeGraph = null;
+        this.itemCostCache = new Map();
+        this.recipeValueCache = null; // Recipe values per history snapshot, for the trend views
         this.currentTab = 'overview';
         this.currentPage = 1;
-        this.itemsPerPage = 50;
-        this.sortBy = 'profit';
-        this.sortOrder = 'desc';
-        this.portfolio = JSON.parse(localStorage.getItem('craftingPortfolio') || '[]');
-        this.alerts = JSON.parse(localStorage.getItem('priceAlerts') || '[]');
-        this.customMaterialCosts = JSON.parse(localStorage.getItem('customMaterialCosts') || '{}');
+        this.itemsPerPage = JSON.parse(storage.getItem('itemsPerPage') || '50'); // 0 = one scrolling list of every row
+        this.sortKeys = [{ field: 'profit', order: 'desc' }]; // Later keys only break ties in earlier ones
+        this.recipeColumns = [
+            { key: 'name', label: 'Recipe', locked: true },
+            { key: 'profession', label: 'Profession' },
+            { key: 'skill_level', label: 'Level' },
+            { key: 'materialsCost', label: 'Materials Cost' },
+            { key: 'resultValue', label: 'Result Value' },
+            { key: 'resultExit', label: 'Exit' },
+            { key: 'profit', label: 'Profit' },
+            { key: 'roi', label: 'ROI' },
+            { key: 'actions', label: 'Actions', locked: true }
+        ];
+        this.hiddenRecipeColumns = new Set(JSON.parse(storage.getItem('hiddenRecipeColumns') || '[]'));
+        this.recipeRowHeight = 64; // Remeasured from the rendered rows after each table update
+        this.recipeRowMeasured = false;
+        this.recipeRowOverscan = 8; // Rows rendered beyond each edge of the viewport
+        this.recipeRowWindow = null;
+        this.recipeScrollFrame = null;
+        this.portfolio = JSON.parse(storage.getItem('craftingPortfolio') || '[]');
+        this.alerts = JSON.parse(storage.getItem('priceAlerts') || '[]');
+        this.alertEvents = JSON.parse(storage.getItem('alertEvents') || '[]');
+        this.editingAlertId = null;
+        this.customMaterialCosts = JSON.parse(storage.getItem('customMaterialCosts') || '{}');
+        this.priceStrategyRegistry = {};
+        this.priceSettings = {
+            material: 'minBuyout',
+            result: 'minBuyout',
+            blendWeight: 0.5,
+            ...JSON.parse(storage.getItem('priceSettings') || '{}')
+        };
+        this.registerDefaultPriceStrategies();
+        // Deposit is a share of the vendor sell price, scaled by listing duration
+        this.listingDurations = {
+            '12h': { label: '12 Hours', depositRate: 0.15 },
+            '24h': { label: '24 Hours', depositRate: 0.30 },
+            '48h': { label: '48 Hours', depositRate: 0.60 }
+        };
+        this.feeSettings = {
+            cutPercent: 5,
+            duration: '24h',
+            relistRate: 0.2,
+            ...JSON.parse(storage.getItem('feeSettings') || '{}')
+        };
+        this.costTreeRecipeId = null;
+        this.costTreeOverrides = {};
+        this.costTreeExpanded = new Set();
         this.charts = {};
-        
-        this.init();
+        this.historyDB = null;
+        this.priceHistory = [];
+        this.historyRetentionDays = 35;
+        this.trendTimeframe = '7d';
+        this.trendProfession = '';
+        this.trendThreshold = JSON.parse(storage.getItem('trendThreshold') || '1'); // Percent change below which a market counts as stable
+        this.sellWindowDays = 7;
+        this.sellThroughCache = new Map();
+        this.levelingRequest = null;
+        this.levelingMinChance = 0.2; // Recipes this close to grey need too many crafts per point
+        this.optimizerRequest = null;
+        this.optimizerLimits = JSON.parse(storage.getItem('optimizerLimits') || '{"recipes":{},"materials":{}}');
+        this.optimizerCache = null;
+        this.optimizerMaxCrafts = 5000; // Safety cap on the greedy loop
+        this.characters = JSON.parse(storage.getItem('characters') || '[]');
+        this.activeCharacter = storage.getItem('activeCharacter') || ''; // '' = any recipe, 'all' = every character
+        this.editingCharacterId = null;
+        const savedDatasets = JSON.parse(storage.getItem('priceDatasets') || '[]');
+        this.priceDatasets = savedDatasets.some(dataset => dataset.id === 'default') ? savedDatasets : [
+            { id: 'default', name: 'Default Market', path: 'auctionprices.json' },
+            ...savedDatasets
+        ];
+        this.activeDataset = storage.getItem('activeDataset') || 'default';
+        this.marketData = {}; // Loaded price lookups by dataset id
+        this.importPreview = null;
+        this.knownProfessions = [
+            'Alchemy', 'Blacksmithing', 'Cooking', 'Enchanting', 'Engineering', 'First Aid', 'Fishing',
+            'Herbalism', 'Inscription', 'Jewelcrafting', 'Leatherworking', 'Mining', 'Skinning', 'Tailoring'
+        ];
+        this.priceFileIssues = {}; // Parse problems by dataset id
+        this.vendorPrices = {}; // itemId -> { buy, sell } in copper; 0 means the vendor doesn't buy or sell it
+        this.vendorFileIssues = [];
+        this.disenchantTable = { brackets: [], items: {} }; // Expected enchanting materials by item level and quality
+        this.disenchantFileIssues = [];
+        this.conversionRecipes = []; // Prospecting, milling, etc. expanded into one pseudo-recipe per output
+        this.conversionFileIssues = [];
+        this.yieldModifiers = { specializations: [], recipes: {} }; // Proc chances for extra output
+        this.yieldFileIssues = [];
+        this.cooldowns = []; // Timers shared by one or more recipes
+        this.cooldownFileIssues = [];
+        this.cooldownUsage = JSON.parse(storage.getItem('cooldownUsage') || '{}'); // characterId -> cooldownId -> last used (ms)
+        this.conversionTypes = {
+            prospecting: { label: 'Prospected', verb: 'Prospecting' },
+            smelting: { label: 'Smelted', verb: 'Smelting' },
+            milling: { label: 'Milled', verb: 'Milling' },
+            essence: { label: 'Converted', verb: 'Converting' }
+        };
+        this.dataQuality = null;
+        this.recipeIssues = new Map(); // recipe_id -> short descriptions of what makes its profit unreliable
+        this.recipeFilters = { profession: '', minProfit: null, query: null }; // null minProfit: box left empty
+        // Fields the recipe query bar understands; money fields take literals like 5g 20s 3c
+        this.recipeQueryFields = {
+            name: { kind: 'text', values: recipe => [recipe.name] },
+            result: { kind: 'text', values: recipe => [recipe.resultName] },
+            profession: { kind: 'text', values: recipe => [recipe.profession] },
+            material: { kind: 'text', values: recipe => recipe.materialDetails.map(material => material.name) },
+            source: { kind: 'text', values: recipe => recipe.materialDetails.map(material => material.costSource) },
+            exit: { kind: 'text', values: recipe => [recipe.resultExit] },
+            profit: { kind: 'money', value: recipe => recipe.profit },
+            cost: { kind: 'money', value: recipe => recipe.materialsCost },
+            value: { kind: 'money', value: recipe => recipe.resultValue },
+            roi: { kind: 'number', value: recipe => recipe.roi },
+            margin: { kind: 'number', value: recipe => recipe.margin },
+            skill: { kind: 'number', value: recipe => recipe.skill_level },
+            volume: { kind: 'number', value: recipe => recipe.volume }
+        };
+        this.savedFilters = JSON.parse(storage.getItem('savedRecipeFilters') || '[]'); // [{ name, query }]
+        this.searchIndex = null;
+        this.searchResults = [];
+        this.searchActiveIndex = -1;
+        this.searchGroupLimit = 6; // Results shown per group
+        this.searchDebounce = null;
+        this.searchDebounceMs = 150; // Pause in typing before the fuzzy search runs
+        this.pricingWorker = null;
+        this.pricingLevels = { filter: 1, customCosts: 2, process: 3, load: 4 }; // Each level redoes everything below it
+        this.pricingRequestId = 0;
+        this.pricingCallbacks = new Map(); // request id -> { resolve, reject, message }
+        this.pendingPricing = null; // Newest unfinished job, with the work owed by the jobs it replaced
+        this.pricingRunning = false;
+        this.pricingChunkSize = 200; // Recipes priced between progress updates
+
+        // The pricing worker only needs the engine
+        if (!worker) this.init();
     }
 
     async init() {
         try {
             this.showLoading();
-            await this.loadData();
+            this.startPricingWorker();
+            this.readRecipeFilters();
+            await this.requestPricing('load');
             this.setupEventListeners();
-            this.processData();
+            this.evaluateAlerts();
             this.updateUI();
             this.initializeCharts();
             this.hideLoading();
         } catch (error) {
             console.error('Failed to initialize platform:', error);
-            this.showError('Failed to load data. Please refresh the page.');
+            // Load errors can quote a market's path, which the user typed
+            this.showError(`${this.escapeHtml(error.message)}. Please refresh the page.`);
+            this.hideLoading();
+        }
+    }
+
+    async refreshMarket() {
+        try {
+            this.showLoading();
+            if (!await this.requestPricing('load')) return;
+            this.evaluateAlerts();
+            this.updateUI();
+            this.showSuccess('Market data refreshed');
+        } catch (error) {
+            console.error('Failed to refresh market data:', error);
+            this.showError('Failed to refresh market data');
+        } finally {
             this.hideLoading();
         }
     }
@@ -40,187 +186,2208 @@ class CraftingProPlatform {
         document.body.style.cursor = 'default';
     }
 
-    async loadData() {
+    startPricingWorker() {
+        // Browsers won't start workers from file:// pages; the engine then runs here between chunks
+        if (typeof Worker === 'undefined' || location.protocol === 'file:') return;
         try {
-            const [auctionResponse, recipesResponse] = await Promise.all([
-                fetch('auctionprices.json'),
-                fetch('recipes.json')
-            ]);
+            this.pricingWorker = new Worker('pricing-worker.js');
+        } catch (error) {
+            console.warn('Pricing worker unavailable:', error);
+            return;
+        }
+
+        this.pricingWorker.onmessage = (event) => this.receivePricingMessage(event.data);
+        this.pricingWorker.onerror = (event) => {
+            // Replay whatever the worker still owed us on this thread instead
+            console.warn('Pricing worker failed, pricing on the page instead:', event.message);
+            event.preventDefault();
+            this.pricingWorker.terminate();
+            this.pricingWorker = null;
+            this.pricingCallbacks.forEach(({ message }) =>
+                this.handlePricingMessage(message, response => this.receivePricingMessage(response)));
+        };
+    }
 
-            if (!auctionResponse.ok || !recipesResponse.ok) {
-                throw new Error('Failed to fetch data');
+    requestPricing(action, options = {}) {
+        // Resolves true once this request's results are in place, false when a newer request replaced it
+        const id = ++this.pricingRequestId;
+        const message = { id, action, itemIds: options.itemIds || [], state: this.getPricingState() };
+
+        return new Promise((resolve, reject) => {
+            this.pricingCallbacks.set(id, { resolve, reject, message });
+            if (this.pricingWorker) {
+                this.pricingWorker.postMessage(message);
+            } else {
+                this.handlePricingMessage(message, response => this.receivePricingMessage(response));
             }
+        });
+    }
 
-            const auctionData = await auctionResponse.json();
-            const recipesData = await recipesResponse.json();
+    receivePricingMessage(message) {
+        if (message.type === 'progress') {
+            if (message.id === this.pricingRequestId) this.showPricingProgress(message.progress, message.stage);
+            return;
+        }
 
-            // Create lookup map for auction data
-            this.auctionData = {};
-            auctionData.pricing_data.forEach(item => {
-                this.auctionData[item.itemId] = item;
-            });
+        // Answers arrive in order and cover every request before them, so even a stale one is applied;
+        // only the newest request gets to render
+        if (message.type === 'result') this.applyPricingResult(message);
+        this.pricingCallbacks.forEach((callbacks, id) => {
+            if (id > message.id) return;
+            this.pricingCallbacks.delete(id);
+            if (message.type === 'error' && id === message.id) {
+                callbacks.reject(new Error(message.message));
+            } else {
+                callbacks.resolve(message.type === 'result' && id === this.pricingRequestId);
+            }
+        });
+        if (message.id === this.pricingRequestId) this.hidePricingProgress();
+    }
+
+    applyPricingResult({ data, processedRecipes, filteredIds }) {
+        if (data) {
+            Object.assign(this, data);
+            // Detail views walk the graph on this thread, so it has to follow the new recipe list
+            this.buildRecipeGraph();
+        }
+        if (processedRecipes) {
+            this.processedRecipes = processedRecipes;
+            // Detail views price items on demand, so drop what was cached against the old results
+            if (this.pricingWorker) {
+                this.itemCostCache = new Map();
+                this.sellThroughCache = new Map();
+            }
+        }
+
+        const byId = new Map(this.processedRecipes.map(recipe => [recipe.recipe_id, recipe]));
+        this.filteredRecipes = filteredIds.map(recipeId => byId.get(recipeId));
+    }
+
+    showPricingProgress(progress, stage) {
+        const indicator = document.getElementById('pricingProgress');
+        if (!indicator) return;
+
+        const percent = Math.round(progress * 100);
+        indicator.classList.add('show');
+        indicator.title = `${stage} (${percent}%)`;
+        indicator.querySelector('.pricing-progress-bar').style.width = `${percent}%`;
+    }
+
+    hidePricingProgress() {
+        document.getElementById('pricingProgress')?.classList.remove('show');
+    }
+
+    async loadData() {
+        if (!this.priceDatasets.some(dataset => dataset.id === this.activeDataset)) {
+            this.activeDataset = 'default';
+        }
+
+        let recipesData;
+        let recipeFile;
+        try {
+            const recipesResponse = await fetch('recipes.json');
+            if (!recipesResponse.ok) {
+                throw new Error('Failed to fetch recipes.json');
+            }
+
+            recipesData = await recipesResponse.json();
+            recipeFile = this.validateRecipesFile(recipesData);
+
+            // Drop every cached market so a refresh picks up new files
+            this.marketData = {};
+            this.auctionData = await this.loadDataset(this.activeDataset);
+            this.vendorPrices = await this.loadVendorPrices();
+            this.disenchantTable = await this.loadDisenchantTable();
+            this.conversionRecipes = await this.loadConversions();
+            this.yieldModifiers = await this.loadYieldModifiers();
+            this.cooldowns = await this.loadCooldowns();
+            this.recipes = recipeFile.recipes;
+        } catch (error) {
+            throw new Error(`Failed to load data files: ${error.message}`);
+        }
+
+        this.dataQuality = this.buildDataQualityReport(recipesData, recipeFile.issues);
 
-            this.recipes = recipesData.recipes;
+        // History is a nice-to-have: never let storage problems block the app
+        try {
+            await this.recordPriceSnapshot(Object.values(this.auctionData));
         } catch (error) {
-            throw new Error('Failed to load data files');
+            console.warn('Price history unavailable:', error);
+            this.priceHistory = [this.createPriceSnapshot(Object.values(this.auctionData))];
         }
     }
 
-    processData() {
-        // First pass: calculate basic recipe data
-        this.filteredRecipes = this.recipes.map(recipe => {
-            const processedRecipe = { ...recipe };
-            processedRecipe.materialDetails = recipe.materials.map(material => {
-                const auctionInfo = this.auctionData[material.itemId];
-                const marketCost = auctionInfo ? 
-                    (auctionInfo.minBuyout > 0 ? auctionInfo.minBuyout : auctionInfo.marketValue) : 0;
-                
-                return {
-                    ...material,
-                    name: auctionInfo?.itemName || `Item ${material.itemId}`,
-                    marketCost: marketCost,
-                    craftingCost: null, // Will be calculated in second pass
-                    unitCost: marketCost,
-                    totalCost: marketCost * material.quantity,
-                    available: auctionInfo?.quantity || 0
-                };
-            });
-            
-            return processedRecipe;
+    async fetchOptionalJson(path) {
+        // Supplementary tables may be absent; that only switches their feature off
+        let response;
+        try {
+            response = await fetch(path);
+        } catch (error) {
+            return null;
+        }
+        return response?.ok ? response.json() : null;
+    }
+
+    async loadVendorPrices() {
+        // The vendor table is optional: without it every material is priced from the market
+        const data = await this.fetchOptionalJson('vendorprices.json');
+        if (!data) {
+            this.vendorFileIssues = [];
+            return {};
+        }
+
+        const { prices, issues } = this.validateVendorPrices(data);
+        this.vendorFileIssues = issues;
+        return prices;
+    }
+
+    async loadDisenchantTable() {
+        const data = await this.fetchOptionalJson('disenchant.json');
+        if (!data) {
+            this.disenchantFileIssues = [];
+            return { brackets: [], items: {} };
+        }
+
+        const { table, issues } = this.validateDisenchantTable(data);
+        this.disenchantFileIssues = issues;
+        return table;
+    }
+
+    async loadConversions() {
+        const data = await this.fetchOptionalJson('conversions.json');
+        if (!data) {
+            this.conversionFileIssues = [];
+            return [];
+        }
+
+        const { conversions, issues } = this.validateConversions(data);
+        this.conversionFileIssues = issues;
+        return this.expandConversions(conversions);
+    }
+
+    validateConversions(data) {
+        // Expected shape:
+        // { "conversions": [{ "id": "prospect-tin", "type": "prospecting", "name": "Prospect Tin Ore",
+        //   "profession": "Jewelcrafting", "skill_level": 50, "input": { "itemId": 2771, "quantity": 5 },
+        //   "outputs": [{ "itemId": 1206, "quantity": 0.38 }] }] }
+        // Output quantities are expected yields per conversion.
+        if (!data || !Array.isArray(data.conversions)) {
+            return { conversions: [], issues: [{ type: 'schema', message: 'conversions.json must have a conversions array' }] };
+        }
+
+        const isStack = (entry) => Number.isInteger(entry?.itemId) && entry.itemId > 0 && entry.quantity > 0;
+        const seen = new Set();
+        const issues = [];
+        const conversions = data.conversions.filter((conversion, index) => {
+            const label = conversion?.id || `#${index + 1}`;
+            if (!conversion?.id || !this.conversionTypes[conversion.type] || !isStack(conversion.input) ||
+                !Array.isArray(conversion.outputs) || conversion.outputs.length === 0 || !conversion.outputs.every(isStack)) {
+                issues.push({ type: 'schema', message: `conversions.json ${label}: needs an id, a known type (${Object.keys(this.conversionTypes).join(', ')}), an input and outputs` });
+                return false;
+            }
+            if (seen.has(conversion.id)) {
+                issues.push({ type: 'duplicate', message: `conversions.json ${label}: duplicate id, keeping the first` });
+                return false;
+            }
+            seen.add(conversion.id);
+            return true;
         });
 
-        // Second pass: calculate crafting costs and optimize
-        this.calculateOptimalCosts();
-        
-        this.sortRecipes();
+        return { conversions, issues };
     }
 
-    calculateOptimalCosts() {
-        // Create a map of item ID to recipe for quick lookup
-        const itemToRecipe = new Map();
-        this.filteredRecipes.forEach(recipe => {
-            itemToRecipe.set(recipe.result_item_id, recipe);
+    expandConversions(conversions) {
+        // The cost engine prices one result per recipe, so each output becomes its own pseudo-recipe
+        // that carries the full output list for splitting the input cost.
+        return conversions.flatMap(conversion => conversion.outputs.map(output => ({
+            recipe_id: `${conversion.id}:${output.itemId}`,
+            name: conversion.name || conversion.id,
+            profession: conversion.profession || 'None',
+            skill_level: conversion.skill_level || 0,
+            materials: [conversion.input],
+            result_item_id: output.itemId,
+            result_quantity: output.quantity,
+            conversion: conversion.type,
+            outputs: conversion.outputs
+        })));
+    }
+
+    async loadYieldModifiers() {
+        const data = await this.fetchOptionalJson('yields.json');
+        if (!data) {
+            this.yieldFileIssues = [];
+            return { specializations: [], recipes: {} };
+        }
+
+        const { modifiers, issues } = this.validateYieldModifiers(data);
+        this.yieldFileIssues = issues;
+        return modifiers;
+    }
+
+    validateYieldModifiers(data) {
+        // Expected shape:
+        // { "specializations": [{ "id": "potion", "name": "Potion Master", "profession": "Alchemy",
+        //     "namePattern": "Potion", "procChance": 0.15, "bonus": 1.5 }],
+        //   "recipes": { "17187": { "procChance": 0.2, "bonus": 1 } } }
+        // `bonus` is the extra output per proc in multiples of the base quantity. A specialization
+        // covers its whole profession unless `namePattern` or `recipes` narrow it down; entries under
+        // "recipes" apply to every character.
+        const issues = [];
+        const isProc = (entry) => entry && entry.procChance > 0 && entry.procChance <= 1 && entry.bonus > 0;
+
+        const specializations = (Array.isArray(data?.specializations) ? data.specializations : []).filter((spec, index) => {
+            const label = spec?.id || `#${index + 1}`;
+            if (!spec?.id || !spec.profession || !isProc(spec)) {
+                issues.push({ type: 'schema', message: `yields.json specialization ${label}: needs an id, a profession, procChance in (0, 1] and a positive bonus` });
+                return false;
+            }
+            try {
+                spec.pattern = spec.namePattern ? new RegExp(spec.namePattern, 'i') : null;
+            } catch (error) {
+                issues.push({ type: 'schema', message: `yields.json specialization ${label}: invalid namePattern (${error.message})` });
+                return false;
+            }
+            return true;
         });
 
-        // Calculate crafting costs for each recipe
-        this.filteredRecipes.forEach(recipe => {
-            let materialsCost = 0;
-            let allMaterialsAvailable = true;
+        const recipes = {};
+        Object.entries(data?.recipes || {}).forEach(([key, entry]) => {
+            if (!(parseInt(key) > 0) || !isProc(entry)) {
+                issues.push({ type: 'schema', message: `yields.json recipe "${key}": needs procChance in (0, 1] and a positive bonus` });
+                return;
+            }
+            recipes[parseInt(key)] = { procChance: entry.procChance, bonus: entry.bonus };
+        });
 
-            recipe.materialDetails = recipe.materialDetails.map(material => {
-                const craftingRecipe = itemToRecipe.get(material.itemId);
-                let craftingCost = null;
-                
-                if (craftingRecipe) {
-                    // Calculate the cost to craft this material
-                    craftingCost = this.calculateRecipeCost(craftingRecipe, itemToRecipe, new Set([recipe.recipe_id]));
-                }
+        return { modifiers: { specializations, recipes }, issues };
+    }
 
-                // Use the cheaper option: market price or crafting cost
-                let optimalCost = material.marketCost;
-                let costSource = 'market';
-                
-                if (craftingCost !== null && (craftingCost < material.marketCost || material.marketCost === 0)) {
-                    optimalCost = craftingCost;
-                    costSource = 'crafting';
-                }
+    async loadCooldowns() {
+        const data = await this.fetchOptionalJson('cooldowns.json');
+        if (!data) {
+            this.cooldownFileIssues = [];
+            return [];
+        }
+
+        const { cooldowns, issues } = this.validateCooldowns(data);
+        this.cooldownFileIssues = issues;
+        return cooldowns;
+    }
+
+    validateCooldowns(data) {
+        // Expected shape:
+        // { "cooldowns": [{ "id": "transmute", "name": "Transmute", "hours": 20, "profession": "Alchemy", "namePattern": "^Transmute:" },
+        //                 { "id": "mooncloth", "name": "Mooncloth", "hours": 92, "recipes": [18560] }] }
+        // Every recipe matched by one entry shares that entry's timer.
+        if (!data || !Array.isArray(data.cooldowns)) {
+            return { cooldowns: [], issues: [{ type: 'schema', message: 'cooldowns.json must have a cooldowns array' }] };
+        }
+
+        const issues = [];
+        const seen = new Set();
+        const cooldowns = data.cooldowns.filter((cooldown, index) => {
+            const label = cooldown?.id || `#${index + 1}`;
+            const matchesRecipes = Array.isArray(cooldown?.recipes) || (cooldown?.profession && cooldown?.namePattern);
+            if (!cooldown?.id || !(cooldown.hours > 0) || !matchesRecipes) {
+                issues.push({ type: 'schema', message: `cooldowns.json ${label}: needs an id, positive hours and either recipes or a profession and namePattern` });
+                return false;
+            }
+            if (seen.has(cooldown.id)) {
+                issues.push({ type: 'duplicate', message: `cooldowns.json ${label}: duplicate id, keeping the first` });
+                return false;
+            }
+            try {
+                cooldown.pattern = cooldown.namePattern ? new RegExp(cooldown.namePattern, 'i') : null;
+            } catch (error) {
+                issues.push({ type: 'schema', message: `cooldowns.json ${label}: invalid namePattern (${error.message})` });
+                return false;
+            }
+            seen.add(cooldown.id);
+            return true;
+        });
+
+        return { cooldowns, issues };
+    }
+
+    validateDisenchantTable(data) {
+        // Expected shape:
+        // { "brackets": [{ "quality": 2, "minLevel": 56, "maxLevel": 60, "outputs": [{ "itemId": 16204, "quantity": 1.125 }] }],
+        //   "items": { "14106": { "name": "Felcloth Robe", "itemLevel": 62, "quality": 2 } } }
+        // Output quantities are expected values per disenchant, so chances are already folded in.
+        if (!data || !Array.isArray(data.brackets)) {
+            return { table: { brackets: [], items: {} }, issues: [{ type: 'schema', message: 'disenchant.json must have a brackets array' }] };
+        }
+
+        const issues = [];
+        const brackets = data.brackets.filter((bracket, index) => {
+            const valid = bracket && Number.isInteger(bracket.quality) &&
+                Number.isInteger(bracket.minLevel) && Number.isInteger(bracket.maxLevel) && bracket.minLevel <= bracket.maxLevel &&
+                Array.isArray(bracket.outputs) && bracket.outputs.length > 0 &&
+                bracket.outputs.every(output => Number.isInteger(output?.itemId) && output.itemId > 0 && output.quantity > 0);
+            if (!valid) {
+                issues.push({ type: 'schema', message: `disenchant.json bracket ${index + 1}: needs quality, minLevel <= maxLevel and outputs with itemId and quantity` });
+            }
+            return valid;
+        });
+
+        const items = {};
+        Object.entries(data.items || {}).forEach(([key, entry]) => {
+            const itemId = parseInt(key);
+            if (!(itemId > 0) || !Number.isInteger(entry?.itemLevel) || !Number.isInteger(entry?.quality)) {
+                issues.push({ type: 'schema', message: `disenchant.json item "${key}": needs an itemLevel and quality` });
+                return;
+            }
+            items[itemId] = { name: entry.name, itemLevel: entry.itemLevel, quality: entry.quality };
+        });
+
+        return { table: { brackets, items }, issues };
+    }
 
-                // Check for custom cost override
-                const customCostKey = `${material.itemId}`;
-                if (this.customMaterialCosts[customCostKey] !== undefined) {
-                    optimalCost = this.customMaterialCosts[customCostKey];
-                    costSource = 'custom';
+    validateVendorPrices(data) {
+        // Expected shape: { "2320": { "name": "Coarse Thread", "buy": 10, "sell": 2 }, ... }
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            return { prices: {}, issues: [{ type: 'schema', message: 'vendorprices.json must be an object keyed by itemId' }] };
+        }
+
+        const isPrice = (value) => value === undefined || (Number.isInteger(value) && value >= 0);
+        const prices = {};
+        const issues = [];
+        Object.entries(data).forEach(([key, entry]) => {
+            const itemId = parseInt(key);
+            if (!(itemId > 0) || !entry || !isPrice(entry.buy) || !isPrice(entry.sell) || (!entry.buy && !entry.sell)) {
+                issues.push({ type: 'schema', message: `vendorprices.json "${key}": needs a positive item ID and a buy or sell price in copper` });
+                return;
+            }
+            prices[itemId] = { name: entry.name, buy: entry.buy || 0, sell: entry.sell || 0 };
+        });
+
+        return { prices, issues };
+    }
+
+    async loadDataset(datasetId) {
+        if (this.marketData[datasetId]) return this.marketData[datasetId];
+
+        const dataset = this.priceDatasets.find(entry => entry.id === datasetId);
+        if (!dataset) throw new Error(`Unknown price dataset: ${datasetId}`);
+
+        let pricingData;
+        // Uploads and imported scans live in IndexedDB; imports take precedence over the dataset's file
+        if (dataset.uploaded || dataset.imported) {
+            const stored = await this.historyRequest('readonly', store => store.get(datasetId), 'datasets');
+            if (!stored) throw new Error(`${dataset.name} is missing from local storage`);
+            pricingData = stored.pricing_data;
+            this.priceFileIssues[datasetId] = [];
+        } else {
+            const response = await fetch(dataset.path);
+            if (!response.ok) throw new Error(`Failed to fetch ${dataset.path}`);
+            const { items, errors } = this.parsePriceImport(await response.text());
+            if (items.length === 0) throw new Error(`${dataset.path}: ${errors[0]?.message || 'no prices found'}`);
+            pricingData = items;
+            this.priceFileIssues[datasetId] = errors;
+        }
+
+        // Create lookup map for auction data
+        const lookup = {};
+        pricingData.forEach(item => {
+            lookup[item.itemId] = item;
+        });
+        this.marketData[datasetId] = lookup;
+        return lookup;
+    }
+
+    parsePriceDataset(text) {
+        // Files may be in any importable format; a file with nothing usable is an error
+        const { items, errors } = this.parsePriceImport(text);
+        if (items.length === 0) {
+            throw new Error(errors[0]?.message || 'No prices found');
+        }
+        return items;
+    }
+
+    detectImportFormat(text) {
+        const trimmed = text.trim();
+        if (trimmed.startsWith('{') || trimmed.startsWith('[')) return 'json';
+        // SavedVariables files are assignments of tables: `AuctionDB = { ... }`
+        if (/^[A-Za-z_][\w.]*\s*=\s*{/m.test(trimmed)) return 'lua';
+        return 'csv';
+    }
+
+    parsePriceImport(text, format = 'auto') {
+        const detected = format === 'auto' ? this.detectImportFormat(text) : format;
+        const parsers = {
+            json: () => this.parseJsonPrices(text),
+            csv: () => this.parseCsvPrices(text),
+            lua: () => this.parseLuaPrices(text)
+        };
+
+        let result;
+        try {
+            result = parsers[detected]();
+        } catch (error) {
+            result = { entries: [], errors: [{ line: error.line ?? null, message: error.message }] };
+        }
+
+        // Normalize every entry into the pricing_data schema; later duplicates win
+        const items = new Map();
+        const errors = [...result.errors];
+        result.entries.forEach(({ raw, line }) => {
+            try {
+                const item = this.normalizeImportedItem(raw);
+                if (items.has(item.itemId)) {
+                    errors.push({ line, type: 'duplicate', message: `Duplicate item ${item.itemId}, keeping the later entry` });
                 }
+                items.set(item.itemId, item);
+            } catch (error) {
+                errors.push({ line, message: error.message });
+            }
+        });
 
-                const totalCost = optimalCost * material.quantity;
-                materialsCost += totalCost;
-                
-                if (!this.auctionData[material.itemId] || (material.marketCost === 0 && craftingCost === null)) {
-                    allMaterialsAvailable = false;
+        return { format: detected, items: [...items.values()], errors };
+    }
+
+    parseMoney(value) {
+        // Plain copper amounts or gold/silver/copper strings like "1g 20s 5c"; thousands separators are allowed
+        if (typeof value === 'number') return Math.round(value);
+        const text = String(value ?? '').trim().toLowerCase().replace(/(\d),(?=\d{3}(?!\d))/g, '$1');
+        if (/^\d+(\.\d+)?$/.test(text)) return Math.round(parseFloat(text));
+
+        const match = text.match(/^(?:(\d+(?:\.\d+)?)g)?\s*(?:(\d+)s)?\s*(?:(\d+)c)?$/);
+        if (!text || !match || !(match[1] || match[2] || match[3])) return NaN;
+        return Math.round(parseFloat(match[1] || 0) * 10000 + parseInt(match[2] || 0) * 100 + parseInt(match[3] || 0));
+    }
+
+    normalizeImportedItem(raw) {
+        const itemId = parseInt(raw.itemId);
+        if (!(itemId > 0)) throw new Error('Missing or invalid item ID');
+
+        const minBuyout = this.parseMoney(raw.minBuyout ?? raw.marketValue);
+        const marketValue = this.parseMoney(raw.marketValue ?? raw.minBuyout);
+        if (isNaN(minBuyout) || isNaN(marketValue)) throw new Error(`Item ${itemId}: missing or invalid price`);
+
+        // Scans that only record a price still mean something was listed
+        const listed = minBuyout > 0 ? 1 : 0;
+        const count = (value) => parseInt(String(value).replace(/,(?=\d{3}(?!\d))/g, ''));
+        const quantity = raw.quantity !== undefined && raw.quantity !== '' ? count(raw.quantity) : listed;
+        const numAuctions = raw.numAuctions !== undefined && raw.numAuctions !== '' ? count(raw.numAuctions) : Math.min(quantity, listed);
+        if (isNaN(quantity) || isNaN(numAuctions)) throw new Error(`Item ${itemId}: invalid quantity`);
+
+        const item = {
+            itemId,
+            minBuyout,
+            marketValue,
+            quantity,
+            numAuctions,
+            itemName: raw.itemName || this.auctionData[itemId]?.itemName || `Item ${itemId}`
+        };
+
+        // Optional fields: per-listing prices for depth costing and the vendor sell price deposits come from
+        if (Array.isArray(raw.listings)) {
+            item.listings = raw.listings
+                .map(listing => ({ price: this.parseMoney(listing?.price), quantity: count(listing?.quantity) }))
+                .filter(listing => listing.price > 0 && listing.quantity > 0);
+        }
+        const vendorSell = raw.vendorSell !== undefined && raw.vendorSell !== '' ? this.parseMoney(raw.vendorSell) : 0;
+        if (vendorSell > 0) item.vendorSell = vendorSell;
+        return item;
+    }
+
+    parseJsonPrices(text) {
+        const data = JSON.parse(text);
+        const rows = Array.isArray(data) ? data : data?.pricing_data;
+        if (!Array.isArray(rows)) throw new Error('JSON must be a pricing_data array or { "pricing_data": [...] }');
+        return { entries: rows.map((raw, index) => ({ raw, line: index + 1 })), errors: [] };
+    }
+
+    parseCsvPrices(text) {
+        const lines = text.split(/\r?\n/);
+        const headerIndex = lines.findIndex(line => line.trim());
+        if (headerIndex === -1) throw new Error('Nothing to import');
+
+        const delimiter = [',', ';', '\t'].find(candidate => lines[headerIndex].includes(candidate)) || ',';
+        const splitLine = (line) => {
+            const cells = [];
+            let cell = '';
+            let quoted = false;
+            for (let i = 0; i < line.length; i++) {
+                const char = line[i];
+                if (char === '"' && quoted && line[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = !quoted;
+                } else if (char === delimiter && !quoted) {
+                    cells.push(cell.trim());
+                    cell = '';
+                } else {
+                    cell += char;
                 }
-                
-                return {
-                    ...material,
-                    unitCost: optimalCost,
-                    craftingCost: craftingCost,
-                    totalCost: totalCost,
-                    costSource: costSource,
-                    isCustomCost: costSource === 'custom',
-                    savings: craftingCost !== null && costSource === 'crafting' ? 
-                        (material.marketCost - craftingCost) * material.quantity : 0
-                };
-            });
-            
-            // Calculate result value and profit
-            const resultInfo = this.auctionData[recipe.result_item_id];
-            const resultValue = resultInfo ? 
-                (resultInfo.minBuyout > 0 ? resultInfo.minBuyout : resultInfo.marketValue) : 0;
-            const totalResultValue = resultValue * recipe.result_quantity;
-            
-            const profit = totalResultValue - materialsCost;
-            const margin = materialsCost > 0 ? ((profit / materialsCost) * 100) : 0;
-            const roi = materialsCost > 0 ? ((profit / materialsCost) * 100) : 0;
-            
-            recipe.materialsCost = materialsCost;
-            recipe.resultValue = totalResultValue;
-            recipe.profit = profit;
-            recipe.margin = margin;
-            recipe.roi = roi;
-            recipe.allMaterialsAvailable = allMaterialsAvailable;
-            recipe.resultName = resultInfo?.itemName || `Item ${recipe.result_item_id}`;
-            recipe.trend = this.simulateTrend();
-            recipe.volume = Math.floor(Math.random() * 100) + 1;
-            recipe.totalSavings = recipe.materialDetails.reduce((sum, mat) => sum + mat.savings, 0);
-        });
-    }
-
-    calculateRecipeCost(recipe, itemToRecipe, visitedRecipes = new Set()) {
-        // Prevent infinite recursion
-        if (visitedRecipes.has(recipe.recipe_id)) {
-            return null;
+            }
+            cells.push(cell.trim());
+            return cells;
+        };
+
+        const aliases = {
+            itemId: ['itemid', 'item_id', 'id', 'item'],
+            minBuyout: ['minbuyout', 'min_buyout', 'buyout', 'price'],
+            marketValue: ['marketvalue', 'market_value', 'market', 'dbmarket'],
+            quantity: ['quantity', 'qty', 'count'],
+            numAuctions: ['numauctions', 'num_auctions', 'auctions'],
+            vendorSell: ['vendorsell', 'vendor_sell', 'vendorprice', 'vendor_price'],
+            itemName: ['itemname', 'item_name', 'name']
+        };
+        const header = splitLine(lines[headerIndex]).map(cell => cell.toLowerCase().replace(/\s+/g, ''));
+        const columns = {};
+        Object.entries(aliases).forEach(([field, names]) => {
+            const index = header.findIndex(cell => names.includes(cell));
+            if (index !== -1) columns[field] = index;
+        });
+        if (columns.itemId === undefined || (columns.minBuyout === undefined && columns.marketValue === undefined)) {
+            const error = new Error('Header needs an itemId column and a price column');
+            error.line = headerIndex + 1;
+            throw error;
         }
-        
-        visitedRecipes.add(recipe.recipe_id);
-        let totalCost = 0;
-        
-        for (const material of recipe.materials) {
-            const auctionInfo = this.auctionData[material.itemId];
-            const marketCost = auctionInfo ? 
-                (auctionInfo.minBuyout > 0 ? auctionInfo.minBuyout : auctionInfo.marketValue) : 0;
-            
-            // Check if this material can also be crafted
-            const materialRecipe = itemToRecipe.get(material.itemId);
-            let materialCost = marketCost;
-            
-            if (materialRecipe && !visitedRecipes.has(materialRecipe.recipe_id)) {
-                const craftingCost = this.calculateRecipeCost(materialRecipe, itemToRecipe, new Set(visitedRecipes));
-                if (craftingCost !== null && (craftingCost < marketCost || marketCost === 0)) {
-                    materialCost = craftingCost;
+
+        const entries = [];
+        lines.slice(headerIndex + 1).forEach((line, index) => {
+            if (!line.trim()) return;
+            const cells = splitLine(line);
+            const raw = {};
+            Object.entries(columns).forEach(([field, column]) => {
+                if (cells[column] !== undefined && cells[column] !== '') raw[field] = cells[column];
+            });
+            entries.push({ raw, line: headerIndex + index + 2 });
+        });
+
+        return { entries, errors: [] };
+    }
+
+    parseLuaPrices(text) {
+        const tables = this.parseLuaTables(text);
+        const entries = [];
+        const errors = [];
+        const priceFields = ['minBuyout', 'buyout', 'price', 'marketValue', 'market'];
+        const itemsByName = new Map(Object.values(this.auctionData).map(item => [item.itemName.toLowerCase(), item.itemId]));
+        const idFromKey = (key) => {
+            const match = String(key ?? '').match(/^(?:i(?:tem)?:)?(\d+)$/);
+            return match ? parseInt(match[1]) : undefined;
+        };
+
+        const visit = (node, key, line, positional = false) => {
+            if (node === null || typeof node !== 'object') {
+                // Flat price lists keyed by item: [2589] = 120, ["i:2589"] = 120 or ["Linen Cloth"] = 120
+                const itemId = typeof node === 'number' && key !== undefined && !positional &&
+                    (idFromKey(key) ?? itemsByName.get(String(key).toLowerCase()));
+                if (itemId) entries.push({ raw: { itemId, minBuyout: node }, line });
+                return;
+            }
+
+            const fields = node.entries;
+            const get = (name) => fields.find(entry => entry.key === name)?.value;
+            if (priceFields.some(field => get(field) !== undefined && typeof get(field) !== 'object')) {
+                entries.push({
+                    raw: {
+                        itemId: get('itemId') ?? get('itemID') ?? get('id') ?? idFromKey(key),
+                        minBuyout: get('minBuyout') ?? get('buyout') ?? get('price'),
+                        marketValue: get('marketValue') ?? get('market'),
+                        quantity: get('quantity') ?? get('qty') ?? get('count'),
+                        numAuctions: get('numAuctions') ?? get('auctions'),
+                        vendorSell: get('vendorSell') ?? get('vendorPrice'),
+                        itemName: get('itemName') ?? get('name')
+                    },
+                    line: node.line
+                });
+                return;
+            }
+
+            fields.forEach(entry => visit(entry.value, entry.key, entry.line, entry.positional));
+        };
+
+        tables.forEach(table => visit(table.value, table.name, table.line));
+        if (entries.length === 0) errors.push({ line: null, message: 'No item prices found in the Lua tables' });
+        return { entries, errors };
+    }
+
+    parseLuaTables(text) {
+        // Minimal reader for SavedVariables: top-level assignments of nested table literals
+        const tokens = [];
+        let line = 1;
+        const fail = (message, at = line) => {
+            const error = new Error(message);
+            error.line = at;
+            throw error;
+        };
+
+        for (let i = 0; i < text.length;) {
+            const char = text[i];
+            if (char === '\n') {
+                line++;
+                i++;
+            } else if (/\s/.test(char)) {
+                i++;
+            } else if (text.startsWith('--', i)) {
+                const block = text.slice(i + 2, i + 66).match(/^\[(=*)\[/);
+                const end = block ? text.indexOf(`]${block[1]}]`, i) : text.indexOf('\n', i);
+                const stop = end === -1 ? text.length : end + (block ? block[1].length + 2 : 0);
+                line += (text.slice(i, stop).match(/\n/g) || []).length;
+                i = stop;
+            } else if (char === '"' || char === "'") {
+                const escapes = { n: '\n', t: '\t', r: '\r', a: '\x07', b: '\b', f: '\f', v: '\v' };
+                let value = '';
+                let j = i + 1;
+                while (j < text.length && text[j] !== char) {
+                    if (text[j] === '\n') fail('Unterminated string');
+                    if (text[j] === '\\') {
+                        j++;
+                        const code = text.slice(j).match(/^\d{1,3}/);
+                        if (code) {
+                            value += String.fromCharCode(parseInt(code[0]));
+                            j += code[0].length;
+                        } else {
+                            if (text[j] === '\n') line++;
+                            value += escapes[text[j]] ?? text[j] ?? '';
+                            j++;
+                        }
+                        continue;
+                    }
+                    value += text[j++];
                 }
+                if (j >= text.length) fail('Unterminated string');
+                tokens.push({ type: 'string', value, line });
+                i = j + 1;
+            } else if (/^\[=*\[/.test(text.slice(i, i + 64))) {
+                // Long strings: [[...]] or [==[...]==], taken verbatim
+                const open = text.slice(i).match(/^\[(=*)\[/);
+                const close = `]${open[1]}]`;
+                const end = text.indexOf(close, i + open[0].length);
+                if (end === -1) fail('Unterminated long string');
+                // A newline straight after the opening bracket isn't part of the string
+                const value = text.slice(i + open[0].length, end).replace(/^\r?\n/, '');
+                tokens.push({ type: 'string', value, line });
+                line += (text.slice(i, end).match(/\n/g) || []).length;
+                i = end + close.length;
+            } else if (/[-\d.]/.test(char)) {
+                const match = text.slice(i).match(/^-?(0x[\da-f]+|(\d+\.?\d*|\.\d+)(e[-+]?\d+)?)/i);
+                if (!match) fail(`Unexpected "${char}"`);
+                tokens.push({ type: 'number', value: /0x/i.test(match[0]) ? parseInt(match[0], 16) : parseFloat(match[0]), line });
+                i += match[0].length;
+            } else if (/[A-Za-z_]/.test(char)) {
+                const match = text.slice(i).match(/^[A-Za-z_][\w.]*/);
+                const word = match[0];
+                const literals = { true: true, false: false, nil: null };
+                tokens.push(word in literals ? { type: 'literal', value: literals[word], line } : { type: 'name', value: word, line });
+                i += word.length;
+            } else if ('{}[]=,;'.includes(char)) {
+                tokens.push({ type: char, line });
+                i++;
+            } else {
+                fail(`Unexpected "${char}"`);
             }
-            
-            // Check for custom cost override
-            const customCostKey = `${material.itemId}`;
-            if (this.customMaterialCosts[customCostKey] !== undefined) {
-                materialCost = this.customMaterialCosts[customCostKey];
+        }
+
+        let position = 0;
+        const peek = () => tokens[position];
+        const expect = (type) => {
+            const token = tokens[position++];
+            if (!token || token.type !== type) fail(`Expected "${type}"`, token?.line ?? line);
+            return token;
+        };
+        const parseValue = () => {
+            const token = tokens[position];
+            if (!token) fail('Unexpected end of file');
+            if (token.type === '{') return parseTable();
+            if (['string', 'number', 'literal'].includes(token.type)) {
+                position++;
+                return token.value;
             }
-            
-            if (materialCost === 0) {
-                return null; // Can't calculate cost if material has no price
+            fail(`Unexpected "${token.value ?? token.type}"`, token.line);
+        };
+        const parseTable = () => {
+            const open = expect('{');
+            const table = { entries: [], line: open.line };
+            let index = 1;
+            while (peek() && peek().type !== '}') {
+                const token = peek();
+                let key;
+                let positional = false;
+                if (token.type === '[') {
+                    position++;
+                    key = parseValue();
+                    expect(']');
+                    expect('=');
+                } else if (token.type === 'name' && tokens[position + 1]?.type === '=') {
+                    key = token.value;
+                    position += 2;
+                } else {
+                    key = index++;
+                    positional = true;
+                }
+                table.entries.push({ key, value: parseValue(), line: token.line, positional });
+                if (peek()?.type === ',' || peek()?.type === ';') position++;
             }
-            
-            totalCost += materialCost * material.quantity;
+            expect('}');
+            return table;
+        };
+
+        const tables = [];
+        while (position < tokens.length) {
+            const name = expect('name');
+            expect('=');
+            tables.push({ name: name.value, value: parseValue(), line: name.line });
         }
-        
-        // Return cost per unit of the result
-        return totalCost / recipe.result_quantity;
+        return tables;
+    }
+
+    showImportModal() {
+        this.importPreview = null;
+        const target = document.getElementById('importTarget');
+        if (target) target.textContent = this.getDatasetName(this.activeDataset);
+        this.renderImportPreview();
+
+        const modal = document.getElementById('importModal');
+        if (modal) modal.style.display = 'block';
+    }
+
+    async readImportFile(file) {
+        const importText = document.getElementById('importText');
+        if (!file || !importText) return;
+        importText.value = await file.text();
+        this.previewImport();
+    }
+
+    previewImport() {
+        const text = document.getElementById('importText')?.value || '';
+        const format = document.getElementById('importFormat')?.value || 'auto';
+        if (!text.trim()) {
+            this.showError('Paste scan data or drop a file first');
+            return;
+        }
+
+        this.importPreview = this.parsePriceImport(text, format);
+        this.renderImportPreview();
+    }
+
+    renderImportPreview() {
+        const container = document.getElementById('importPreview');
+        const applyButton = document.getElementById('applyImport');
+        const preview = this.importPreview;
+        if (applyButton) applyButton.disabled = !preview || preview.items.length === 0;
+        if (!container) return;
+
+        if (!preview) {
+            container.innerHTML = '';
+            return;
+        }
+
+        const shownErrors = preview.errors.slice(0, 20);
+        container.innerHTML = `
+            <div class="import-summary">
+                ${preview.format.toUpperCase()} · ${preview.items.length} items · ${preview.errors.length} problems
+            </div>
+            ${shownErrors.length > 0 ? `
+                <div class="calc-warning">
+                    <i class="fas fa-exclamation-triangle"></i>
+                    <div>
+                        ${shownErrors.map(error => `<div>${error.line ? `Line ${error.line}: ` : ''}${this.escapeHtml(error.message)}</div>`).join('')}
+                        ${preview.errors.length > shownErrors.length ? `<div>…and ${preview.errors.length - shownErrors.length} more</div>` : ''}
+                    </div>
+                </div>
+            ` : ''}
+            ${preview.items.length > 0 ? `
+                <table class="advanced-table">
+                    <thead>
+                        <tr>
+                            <th>Item</th>
+                            <th>Min Buyout</th>
+                            <th>Market Value</th>
+                            <th>Quantity</th>
+                            <th>Auctions</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${preview.items.slice(0, 10).map(item => `
+                            <tr>
+                                <td>${this.escapeHtml(item.itemName)} <span class="mover-hint">#${item.itemId}</span></td>
+                                <td>${this.formatCurrency(item.minBuyout)}</td>
+                                <td>${this.formatCurrency(item.marketValue)}</td>
+                                <td>${item.quantity}</td>
+                                <td>${item.numAuctions}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+                ${preview.items.length > 10 ? `<div class="mover-hint">Showing 10 of ${preview.items.length}</div>` : ''}
+            ` : ''}
+        `;
+    }
+
+    async applyImport() {
+        const preview = this.importPreview;
+        if (!preview || preview.items.length === 0) return;
+
+        const mode = document.getElementById('importMode')?.value || 'merge';
+        const merged = new Map(mode === 'merge' ? Object.values(this.auctionData).map(item => [item.itemId, item]) : []);
+        preview.items.forEach(item => {
+            // Vendor prices don't change between scans, so keep a known one the new scan lacks
+            const vendorSell = merged.get(item.itemId)?.vendorSell;
+            merged.set(item.itemId, vendorSell && !item.vendorSell ? { ...item, vendorSell } : item);
+        });
+
+        const dataset = this.priceDatasets.find(entry => entry.id === this.activeDataset);
+        try {
+            this.showLoading();
+            await this.historyRequest('readwrite', store => store.put({ id: dataset.id, pricing_data: [...merged.values()] }), 'datasets');
+            if (!dataset.uploaded) dataset.imported = true;
+            this.saveDatasets();
+
+            // An import is a fresh scan of this market: record history and check alerts
+            await this.requestPricing('load');
+            this.evaluateAlerts();
+            this.updateUI();
+            this.closeModal('importModal');
+            this.showSuccess(`${mode === 'merge' ? 'Merged' : 'Replaced'} ${preview.items.length} prices in ${this.escapeHtml(dataset.name)}`);
+        } catch (error) {
+            console.error('Failed to import prices:', error);
+            this.showError('Failed to save imported prices');
+        } finally {
+            this.hideLoading();
+        }
+    }
+
+    async revertDataset(datasetId) {
+        // Drop imported scans and go back to the dataset's file
+        const dataset = this.priceDatasets.find(entry => entry.id === datasetId);
+        if (!dataset?.imported) return;
+
+        await this.historyRequest('readwrite', store => store.delete(datasetId), 'datasets').catch(error => {
+            console.warn('Failed to delete imported prices:', error);
+            this.showError('Could not delete the imported prices; they may come back after a reload');
+        });
+        delete dataset.imported;
+        delete this.marketData[datasetId];
+        this.saveDatasets();
+        this.renderDatasetList();
+        if (datasetId === this.activeDataset) await this.refreshMarket();
+    }
+
+    validateRecipesFile(data) {
+        // Structural problems are fatal; bad individual recipes are dropped and reported
+        if (!data || typeof data !== 'object' || !Array.isArray(data.recipes)) {
+            throw new Error('recipes.json must contain a recipes array');
+        }
+
+        const isId = (value) => Number.isInteger(value) && value > 0;
+        const issues = [];
+        const seen = new Set();
+        const recipes = data.recipes.filter((recipe, index) => {
+            const problems = [];
+            if (!isId(recipe?.recipe_id)) problems.push('recipe_id must be a positive integer');
+            if (typeof recipe?.name !== 'string' || !recipe.name) problems.push('name is missing');
+            if (typeof recipe?.profession !== 'string') problems.push('profession is missing');
+            if (!Number.isFinite(recipe?.skill_level)) problems.push('skill_level must be a number');
+            if (!isId(recipe?.result_item_id)) problems.push('result_item_id must be a positive integer');
+            if (!(recipe?.result_quantity > 0)) problems.push('result_quantity must be positive');
+            if (!Array.isArray(recipe?.materials) || recipe.materials.length === 0) {
+                problems.push('materials must be a non-empty array');
+            } else if (recipe.materials.some(material => !isId(material?.itemId) || !(material.quantity > 0))) {
+                problems.push('every material needs an itemId and a positive quantity');
+            }
+
+            if (problems.length > 0) {
+                issues.push({ type: 'schema', message: `Recipe #${index + 1} (${recipe?.name || recipe?.recipe_id || 'unnamed'}): ${problems.join(', ')}` });
+                return false;
+            }
+            if (seen.has(recipe.recipe_id)) {
+                issues.push({ type: 'duplicate', recipeId: recipe.recipe_id, message: `Duplicate recipe_id ${recipe.recipe_id} (${recipe.name}), keeping the first` });
+                return false;
+            }
+            seen.add(recipe.recipe_id);
+            return true;
+        });
+
+        return { recipes, issues };
+    }
+
+    buildDataQualityReport(recipesData, recipeIssues) {
+        const priceIssues = (this.priceFileIssues[this.activeDataset] || []).map(issue => ({
+            type: issue.type || 'schema',
+            message: `${this.getDatasetName(this.activeDataset)}${issue.line ? ` line ${issue.line}` : ''}: ${issue.message}`
+        }));
+        const fileIssues = [
+            ...recipeIssues, ...priceIssues,
+            ...this.vendorFileIssues, ...this.disenchantFileIssues, ...this.conversionFileIssues,
+            ...this.yieldFileIssues, ...this.cooldownFileIssues
+        ];
+        const report = {
+            scrape: { total: recipesData.total_urls ?? null, failed: recipesData.failed ?? 0 },
+            schema: fileIssues.filter(issue => issue.type === 'schema'),
+            duplicates: fileIssues.filter(issue => issue.type === 'duplicate'),
+            missingPrices: [],
+            zeroPriced: [],
+            unknownProfessions: [],
+            selfReferencing: [],
+            unknownDisenchant: [],
+            unpricedDisenchantOutputs: []
+        };
+
+        this.recipeIssues = new Map();
+        const flag = (recipe, description) => {
+            if (!this.recipeIssues.has(recipe.recipe_id)) this.recipeIssues.set(recipe.recipe_id, []);
+            this.recipeIssues.get(recipe.recipe_id).push(description);
+        };
+        const describeItems = (itemIds) => itemIds.map(itemId => this.auctionData[itemId]?.itemName || `Item ${itemId}`).join(', ');
+
+        // Check every scraped entry, including ones the schema check dropped, so nothing goes unreported
+        recipesData.recipes.filter(recipe => recipe && typeof recipe === 'object').forEach(recipe => {
+            const materials = Array.isArray(recipe.materials) ? recipe.materials : [];
+            const itemIds = [...materials.map(material => material?.itemId), recipe.result_item_id]
+                .filter(itemId => Number.isInteger(itemId) && itemId > 0);
+            // Vendor-priced items don't need an auction entry
+            const missing = itemIds.filter(itemId => !this.auctionData[itemId] && !this.vendorPrices[itemId]);
+            const zero = itemIds.filter(itemId => {
+                const auctionInfo = this.auctionData[itemId];
+                return auctionInfo && auctionInfo.minBuyout === 0 && auctionInfo.marketValue === 0 && !this.vendorPrices[itemId];
+            });
+
+            if (missing.length > 0) {
+                report.missingPrices.push({ recipe, itemIds: missing });
+                flag(recipe, `No price entry for ${describeItems(missing)}`);
+            }
+            if (zero.length > 0) {
+                report.zeroPriced.push({ recipe, itemIds: zero });
+                flag(recipe, `Zero price for ${describeItems(zero)}`);
+            }
+            if (!this.knownProfessions.includes(recipe.profession)) {
+                report.unknownProfessions.push({ recipe });
+                flag(recipe, `Unknown profession "${recipe.profession}"`);
+            }
+            if (materials.some(material => material?.itemId === recipe.result_item_id)) {
+                report.selfReferencing.push({ recipe });
+                flag(recipe, 'Uses its own result as a material');
+            }
+        });
+
+        // Crafted gear only gets a disenchant exit when disenchant.json knows its level and quality;
+        // results other recipes consume are materials, not gear
+        const gearProfessions = ['Blacksmithing', 'Leatherworking', 'Tailoring'];
+        const consumed = new Set(recipesData.recipes.flatMap(recipe =>
+            Array.isArray(recipe?.materials) ? recipe.materials.map(material => material?.itemId) : []));
+        report.unknownDisenchant = recipesData.recipes
+            .filter(recipe => gearProfessions.includes(recipe?.profession) && recipe.result_item_id > 0 &&
+                !consumed.has(recipe.result_item_id) && !this.disenchantTable.items[recipe.result_item_id])
+            .map(recipe => ({ recipe }));
+        const outputIds = new Set(this.disenchantTable.brackets.flatMap(bracket => bracket.outputs.map(output => output.itemId)));
+        report.unpricedDisenchantOutputs = [...outputIds].filter(itemId => !this.auctionData[itemId]);
+
+        return report;
+    }
+
+    renderDataIssueFlag(recipeId) {
+        const issues = this.recipeIssues.get(recipeId);
+        if (!issues) return '';
+        return `<i class="fas fa-exclamation-triangle data-issue" title="Unreliable profit: ${issues.join('; ').replace(/"/g, '&quot;')}"></i>`;
+    }
+
+    updateDataQuality() {
+        const report = this.dataQuality;
+        const summary = document.getElementById('qualitySummary');
+        const container = document.getElementById('qualityReport');
+        if (!report || !summary || !container) return;
+
+        const cards = [
+            ['Failed Scrapes', report.scrape.total ? `${report.scrape.failed} / ${report.scrape.total}` : report.scrape.failed],
+            ['Unreliable Recipes', this.recipeIssues.size],
+            ['Schema Errors', report.schema.length],
+            ['Duplicate IDs', report.duplicates.length],
+            ['Unknown Disenchant Value', report.unknownDisenchant.length]
+        ];
+        summary.innerHTML = cards.map(([label, value]) => `
+            <div class="stat-card">
+                <h3>${label}</h3>
+                <div class="stat-value">${value}</div>
+            </div>
+        `).join('');
+
+        const limit = 100;
+        // Recipes dropped by the schema check have no details to open
+        const recipeLink = (recipe) => this.findRecipe(recipe.recipe_id) ?
+            `<a href="#" onclick="platform.showRecipeDetails(${recipe.recipe_id}); return false;">${this.escapeHtml(recipe.name)}</a>` :
+            `${this.escapeHtml(recipe.name)} <span class="mover-hint">(not loaded)</span>`;
+        const itemList = (itemIds) => itemIds
+            .map(itemId => `${this.escapeHtml(this.auctionData[itemId]?.itemName || 'Item')} <span class="mover-hint">#${itemId}</span>`)
+            .join(', ');
+        const section = (title, rows, renderRow, open = false) => `
+            <details class="quality-section" ${open ? 'open' : ''}>
+                <summary>${title} <span class="nav-badge">${rows.length}</span></summary>
+                ${rows.length === 0 ? '<div class="no-data">No problems found</div>' : `
+                    <ul class="quality-list">
+                        ${rows.slice(0, limit).map(row => `<li>${renderRow(row)}</li>`).join('')}
+                    </ul>
+                    ${rows.length > limit ? `<div class="mover-hint">…and ${rows.length - limit} more</div>` : ''}
+                `}
+            </details>
+        `;
+
+        container.innerHTML = [
+            section('Schema Errors', report.schema, issue => this.escapeHtml(issue.message), report.schema.length > 0),
+            section('Duplicate IDs', report.duplicates, issue => this.escapeHtml(issue.message)),
+            section('Missing Price Entries', report.missingPrices, row => `${recipeLink(row.recipe)}: ${itemList(row.itemIds)}`),
+            section('Zero-Priced Materials', report.zeroPriced, row => `${recipeLink(row.recipe)}: ${itemList(row.itemIds)}`),
+            section('Unknown Professions', report.unknownProfessions, row => `${recipeLink(row.recipe)}: "${row.recipe.profession}"`),
+            section('Self-Referencing Recipes', report.selfReferencing, row => `${recipeLink(row.recipe)} lists ${itemList([row.recipe.result_item_id])} as a material`),
+            section('Unknown Disenchant Value', report.unknownDisenchant, row => `${recipeLink(row.recipe)}: ${itemList([row.recipe.result_item_id])} isn't in disenchant.json, so disenchanting is never considered`),
+            section('Unpriced Disenchant Materials', report.unpricedDisenchantOutputs, itemId => `${itemList([itemId])} has no auction price, so it adds nothing to disenchant values`)
+        ].join('');
+    }
+
+    async switchDataset(datasetId) {
+        const previous = this.activeDataset;
+        this.activeDataset = datasetId;
+
+        try {
+            this.showLoading();
+            const current = await this.requestPricing('load');
+            localStorage.setItem('activeDataset', this.activeDataset);
+            if (!current) return;
+            // Alerts follow one market over time, so switching markets doesn't evaluate them
+            this.updateUI();
+            this.showSuccess(`Switched to ${this.escapeHtml(this.getDatasetName(datasetId))}`);
+        } catch (error) {
+            console.error('Failed to switch market:', error);
+            this.activeDataset = previous;
+            this.populateDatasetSelect();
+            this.showError(`Failed to load ${this.escapeHtml(this.getDatasetName(datasetId))}`);
+        } finally {
+            this.hideLoading();
+        }
+    }
+
+    getDatasetName(datasetId) {
+        return this.priceDatasets.find(dataset => dataset.id === datasetId)?.name || datasetId;
+    }
+
+    populateDatasetSelect() {
+        const select = document.getElementById('activeDataset');
+        if (!select) return;
+
+        select.innerHTML = this.priceDatasets
+            .map(dataset => `<option value="${dataset.id}">${this.escapeHtml(dataset.name)}</option>`)
+            .join('');
+        select.value = this.activeDataset;
+    }
+
+    showDatasetModal() {
+        this.renderDatasetList();
+        const modal = document.getElementById('datasetModal');
+        if (modal) modal.style.display = 'block';
+    }
+
+    renderDatasetList() {
+        const container = document.getElementById('datasetList');
+        if (!container) return;
+
+        container.innerHTML = this.priceDatasets.map(dataset => `
+            <div class="alert-item ${dataset.id === this.activeDataset ? 'triggered' : ''}">
+                <div>
+                    <div class="alert-title">${this.escapeHtml(dataset.name)}</div>
+                    <div class="alert-status">${dataset.uploaded ? 'Uploaded file' : this.escapeHtml(dataset.path)}${dataset.imported ? ' · imported scan' : ''}</div>
+                </div>
+                <div class="alert-actions">
+                    ${dataset.imported ? `
+                        <button class="btn btn-outline btn-sm" onclick="platform.revertDataset('${dataset.id}')">Revert to File</button>
+                    ` : ''}
+                    ${dataset.id !== this.activeDataset ? `
+                        <button class="btn btn-outline btn-sm" onclick="platform.switchDataset('${dataset.id}')">Use</button>
+                    ` : ''}
+                    ${dataset.id !== 'default' ? `
+                        <button class="btn btn-outline btn-sm" onclick="platform.removeDataset('${dataset.id}')">
+                            <i class="fas fa-trash"></i>
+                        </button>
+                    ` : ''}
+                </div>
+            </div>
+        `).join('');
+    }
+
+    async addDatasetFromForm() {
+        const name = document.getElementById('datasetName')?.value.trim();
+        const path = document.getElementById('datasetPath')?.value.trim();
+        const file = document.getElementById('datasetFile')?.files?.[0];
+
+        if (!name) {
+            this.showError('Please name the market, e.g. "Realm - Horde"');
+            return;
+        }
+        if (!path && !file) {
+            this.showError('Enter a file path or choose a file to upload');
+            return;
+        }
+
+        const dataset = { id: `dataset-${Date.now()}`, name };
+        try {
+            if (file) {
+                // Uploads can't be fetched again later, so keep their contents locally
+                const pricingData = this.parsePriceDataset(await file.text());
+                await this.historyRequest('readwrite', store => store.put({ id: dataset.id, pricing_data: pricingData }), 'datasets');
+                dataset.uploaded = true;
+            } else {
+                dataset.path = path;
+            }
+
+            this.priceDatasets.push(dataset);
+            await this.loadDataset(dataset.id);
+        } catch (error) {
+            console.error('Failed to add market:', error);
+            this.priceDatasets = this.priceDatasets.filter(entry => entry.id !== dataset.id);
+            this.showError(this.escapeHtml(`Could not load ${name}: ${error.message}`));
+            return;
+        }
+
+        this.saveDatasets();
+        document.getElementById('datasetForm')?.reset();
+        this.renderDatasetList();
+        this.populateDatasetSelect();
+        this.showSuccess(`${this.escapeHtml(name)} added`);
+    }
+
+    async removeDataset(datasetId) {
+        const dataset = this.priceDatasets.find(entry => entry.id === datasetId);
+        if (!dataset || datasetId === 'default') return;
+
+        this.priceDatasets = this.priceDatasets.filter(entry => entry.id !== datasetId);
+        delete this.marketData[datasetId];
+        this.saveDatasets();
+        if (dataset.uploaded) {
+            await this.historyRequest('readwrite', store => store.delete(datasetId), 'datasets').catch(error => {
+                console.warn('Failed to delete uploaded prices:', error);
+                this.showError(`Could not delete the stored prices for ${this.escapeHtml(dataset.name)}`);
+            });
+        }
+
+        if (this.activeDataset === datasetId) await this.switchDataset('default');
+        this.renderDatasetList();
+        this.populateDatasetSelect();
+    }
+
+    saveDatasets() {
+        localStorage.setItem('priceDatasets', JSON.stringify(this.priceDatasets));
+    }
+
+    openHistoryDB() {
+        if (this.historyDB) return Promise.resolve(this.historyDB);
+
+        return new Promise((resolve, reject) => {
+            if (typeof indexedDB === 'undefined') {
+                reject(new Error('IndexedDB is not supported'));
+                return;
+            }
+
+            const request = indexedDB.open('mintocraftoHistory', 2);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains('snapshots')) {
+                    db.createObjectStore('snapshots', { keyPath: 'timestamp' });
+                }
+                if (!db.objectStoreNames.contains('datasets')) {
+                    db.createObjectStore('datasets', { keyPath: 'id' });
+                }
+            };
+            request.onsuccess = () => {
+                this.historyDB = request.result;
+                resolve(this.historyDB);
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    historyRequest(mode, action, storeName = 'snapshots') {
+        return this.openHistoryDB().then(db => new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeName, mode);
+            const request = action(transaction.objectStore(storeName));
+            transaction.oncomplete = () => resolve(request?.result);
+            transaction.onerror = () => reject(transaction.error);
+        }));
+    }
+
+    createPriceSnapshot(pricingData) {
+        // Stored as [minBuyout, marketValue, quantity, numAuctions] to keep snapshots small
+        const prices = {};
+        pricingData.forEach(item => {
+            prices[item.itemId] = [item.minBuyout, item.marketValue, item.quantity, item.numAuctions];
+        });
+        return { timestamp: Date.now(), dataset: this.activeDataset, prices };
+    }
+
+    async recordPriceSnapshot(pricingData) {
+        const snapshot = this.createPriceSnapshot(pricingData);
+        const stored = await this.historyRequest('readonly', store => store.getAll());
+        // Each market keeps its own history; snapshots from before datasets existed belong to the default one
+        const history = (stored || [])
+            .filter(entry => (entry.dataset || 'default') === snapshot.dataset)
+            .sort((a, b) => a.timestamp - b.timestamp);
+        const latest = history[history.length - 1];
+
+        // Reloading the same auctionprices.json should not add a new point
+        if (!latest || JSON.stringify(latest.prices) !== JSON.stringify(snapshot.prices)) {
+            history.push(snapshot);
+            await this.historyRequest('readwrite', store => store.put(snapshot));
+        }
+
+        const kept = this.compactPriceHistory(history);
+        const removed = history.filter(entry => !kept.includes(entry));
+        if (removed.length > 0) {
+            await this.historyRequest('readwrite', store => {
+                removed.forEach(entry => store.delete(entry.timestamp));
+            });
+        }
+
+        this.priceHistory = kept;
+    }
+
+    compactPriceHistory(history) {
+        // Keep everything from the last two days, one snapshot per day before that,
+        // and drop anything older than the retention period
+        const now = Date.now();
+        const dayMs = 24 * 60 * 60 * 1000;
+        const retentionStart = now - this.historyRetentionDays * dayMs;
+        const detailStart = now - 2 * dayMs;
+        const latestPerDay = new Map();
+
+        history.forEach(entry => {
+            if (entry.timestamp < retentionStart || entry.timestamp >= detailStart) return;
+            latestPerDay.set(new Date(entry.timestamp).toDateString(), entry);
+        });
+
+        return history.filter(entry => {
+            if (entry.timestamp < retentionStart) return false;
+            if (entry.timestamp >= detailStart) return true;
+            return latestPerDay.get(new Date(entry.timestamp).toDateString()) === entry;
+        });
+    }
+
+    getTimeframeMs(timeframe) {
+        const hourMs = 60 * 60 * 1000;
+        switch (timeframe) {
+            case '24h':
+                return 24 * hourMs;
+            case '30d':
+                return 30 * 24 * hourMs;
+            case '7d':
+            default:
+                return 7 * 24 * hourMs;
+        }
+    }
+
+    getHistoryBaseline(timeframe = this.trendTimeframe) {
+        // Oldest snapshot inside the window, excluding the current one
+        const windowStart = Date.now() - this.getTimeframeMs(timeframe);
+        const previous = this.priceHistory.slice(0, -1);
+        return previous.find(snapshot => snapshot.timestamp >= windowStart) || null;
+    }
+
+    registerPriceStrategy(id, label, resolve) {
+        // `resolve({ minBuyout, marketValue }, settings)` returns a unit price in copper
+        this.priceStrategyRegistry[id] = { label, resolve };
+    }
+
+    registerDefaultPriceStrategies() {
+        // Every strategy falls back to whichever field is set when the other one is 0
+        const either = (preferred, fallback) => preferred > 0 ? preferred : fallback;
+
+        this.registerPriceStrategy('minBuyout', 'Min Buyout', ({ minBuyout, marketValue }) =>
+            either(minBuyout, marketValue));
+        this.registerPriceStrategy('marketValue', 'Market Value', ({ minBuyout, marketValue }) =>
+            either(marketValue, minBuyout));
+        this.registerPriceStrategy('lower', 'Lower of Both', ({ minBuyout, marketValue }) =>
+            minBuyout > 0 && marketValue > 0 ? Math.min(minBuyout, marketValue) : either(minBuyout, marketValue));
+        this.registerPriceStrategy('higher', 'Higher of Both', ({ minBuyout, marketValue }) =>
+            Math.max(minBuyout, marketValue));
+        this.registerPriceStrategy('blend', 'Blend', ({ minBuyout, marketValue }, settings) =>
+            minBuyout > 0 && marketValue > 0 ?
+                minBuyout * settings.blendWeight + marketValue * (1 - settings.blendWeight) :
+                either(minBuyout, marketValue));
+    }
+
+    resolvePrice(minBuyout, marketValue, role = 'material') {
+        const strategy = this.priceStrategyRegistry[this.priceSettings[role]] || this.priceStrategyRegistry.minBuyout;
+        return strategy.resolve({ minBuyout, marketValue }, this.priceSettings);
+    }
+
+    describePriceStrategy(role) {
+        const id = this.priceSettings[role];
+        const label = this.priceStrategyRegistry[id]?.label || id;
+        return id === 'blend' ? `${label} (${Math.round(this.priceSettings.blendWeight * 100)}% min buyout)` : label;
+    }
+
+    setPriceStrategy(role, id) {
+        if (!this.priceStrategyRegistry[id]) return;
+        this.priceSettings[role] = id;
+        this.savePriceSettings();
+    }
+
+    setBlendWeight(weight) {
+        if (isNaN(weight) || weight < 0 || weight > 1) {
+            this.showError('Blend weight must be between 0 and 100%');
+            return;
+        }
+        this.priceSettings.blendWeight = weight;
+        this.savePriceSettings();
+    }
+
+    savePriceSettings() {
+        localStorage.setItem('priceSettings', JSON.stringify(this.priceSettings));
+        this.refreshPricing();
+    }
+
+    async refreshPricing() {
+        this.updateStrategyIndicators();
+        this.populateFeeSettings();
+        // Every price in the app depends on the strategy and fees, so recompute everything
+        if (!await this.requestPricing('process')) return;
+        this.updateSidebarStats();
+        this.updateTabContent();
+        if (document.getElementById('calcResults')?.classList.contains('show')) {
+            this.calculateProfit();
+        }
+    }
+
+    populatePriceStrategies() {
+        ['material', 'result'].forEach(role => {
+            const select = document.getElementById(`${role}PriceStrategy`);
+            if (!select) return;
+
+            select.innerHTML = Object.entries(this.priceStrategyRegistry)
+                .map(([id, strategy]) => `<option value="${id}">${strategy.label}</option>`)
+                .join('');
+            select.value = this.priceSettings[role];
+        });
+
+        const blendWeight = document.getElementById('blendWeight');
+        if (blendWeight) blendWeight.value = Math.round(this.priceSettings.blendWeight * 100);
+
+        this.updateStrategyIndicators();
+    }
+
+    updateStrategyIndicators() {
+        const summary = `Materials: ${this.describePriceStrategy('material')} · Results: ${this.describePriceStrategy('result')}`;
+        ['strategyIndicator', 'calcStrategySummary'].forEach(id => {
+            const element = document.getElementById(id);
+            if (element) element.textContent = summary;
+        });
+
+        const usesBlend = this.priceSettings.material === 'blend' || this.priceSettings.result === 'blend';
+        const blendGroup = document.getElementById('blendWeightGroup');
+        if (blendGroup) blendGroup.style.display = usesBlend ? '' : 'none';
+    }
+
+    getVendorBuyPrice(itemId) {
+        return this.vendorPrices[itemId]?.buy || 0;
+    }
+
+    getVendorSellPrice(itemId) {
+        // Items without a known vendor price carry no deposit and have no sell floor
+        return this.vendorPrices[itemId]?.sell || this.auctionData[itemId]?.vendorSell || 0;
+    }
+
+    getActiveSpecializations() {
+        // With "All Characters" every specialization counts, since any of them could do the craft
+        if (!this.activeCharacter) return new Set();
+        const characters = this.activeCharacter === 'all' ?
+            this.characters :
+            this.characters.filter(character => character.id === this.activeCharacter);
+        return new Set(characters.flatMap(character => character.specializations || []));
+    }
+
+    getRecipeYield(recipe, active = this.getActiveSpecializations()) {
+        // Expected output per craft: the base quantity plus the average of every proc that applies
+        const base = recipe.result_quantity;
+        if (recipe.outputs) return { base, expected: base, modifiers: [] };
+
+        const modifiers = this.yieldModifiers.specializations.filter(spec =>
+            active.has(spec.id) && spec.profession === recipe.profession &&
+            (!spec.pattern || spec.pattern.test(recipe.name)) &&
+            (!Array.isArray(spec.recipes) || spec.recipes.includes(recipe.recipe_id)));
+        const recipeModifier = this.yieldModifiers.recipes[recipe.recipe_id];
+        if (recipeModifier) modifiers.push({ name: 'Recipe proc', ...recipeModifier });
+
+        const bonus = modifiers.reduce((sum, modifier) => sum + modifier.procChance * modifier.bonus, 0);
+        return { base, expected: base * (1 + bonus), modifiers };
+    }
+
+    getExpectedYield(recipe) {
+        return this.getRecipeYield(recipe).expected;
+    }
+
+    getDisenchantOutputs(itemId) {
+        const item = this.disenchantTable.items[itemId];
+        if (!item) return null;
+
+        const bracket = this.disenchantTable.brackets.find(entry =>
+            entry.quality === item.quality && item.itemLevel >= entry.minLevel && item.itemLevel <= entry.maxLevel);
+        return bracket ? bracket.outputs : null;
+    }
+
+    getDisenchantValue(itemId, snapshot = null) {
+        // Enchanting materials are sold on the auction house, so each one pays its own fees
+        const outputs = this.getDisenchantOutputs(itemId);
+        if (!outputs) return null;
+
+        return outputs.reduce((sale, output) => {
+            const price = this.getMarketPrice(output.itemId, snapshot, 'result');
+            const fees = this.getAuctionFees(output.itemId, price, output.quantity);
+            return {
+                value: sale.value + price * output.quantity,
+                fees: {
+                    cut: sale.fees.cut + fees.cut,
+                    deposit: sale.fees.deposit + fees.deposit,
+                    total: sale.fees.total + fees.total
+                }
+            };
+        }, { value: 0, fees: { cut: 0, deposit: 0, total: 0 } });
+    }
+
+    getResultSale(itemId, quantity, snapshot = null) {
+        // Results go wherever they net the most: the auction house after fees,
+        // a vendor with no fees, or disenchanting and selling the materials
+        const auctionPrice = this.getMarketPrice(itemId, snapshot, 'result');
+        const exits = [{ exit: 'auction', unitPrice: auctionPrice, value: auctionPrice * quantity, fees: this.getAuctionFees(itemId, auctionPrice, quantity) }];
+
+        const vendorPrice = this.getVendorSellPrice(itemId);
+        if (vendorPrice > 0) {
+            exits.push({ exit: 'vendor', unitPrice: vendorPrice, value: vendorPrice * quantity, fees: { cut: 0, deposit: 0, total: 0 } });
+        }
+
+        const disenchant = this.getDisenchantValue(itemId, snapshot);
+        if (disenchant) {
+            exits.push({
+                exit: 'disenchant',
+                unitPrice: disenchant.value,
+                value: disenchant.value * quantity,
+                fees: {
+                    cut: disenchant.fees.cut * quantity,
+                    deposit: disenchant.fees.deposit * quantity,
+                    total: disenchant.fees.total * quantity
+                }
+            });
+        }
+
+        return exits.reduce((best, exit) => exit.value - exit.fees.total > best.value - best.fees.total ? exit : best);
+    }
+
+    getSaleFees(recipe, unitPrice, units) {
+        if (recipe.resultExit === 'vendor') return { cut: 0, deposit: 0, total: 0 };
+        if (recipe.resultExit === 'disenchant') {
+            // Fees belong to the enchanting materials, so scale the per-craft figure
+            const scale = recipe.expectedQuantity > 0 ? units / recipe.expectedQuantity : 0;
+            return { cut: recipe.fees.cut * scale, deposit: recipe.fees.deposit * scale, total: recipe.fees.total * scale };
+        }
+        return this.getAuctionFees(recipe.result_item_id, unitPrice, units);
+    }
+
+    getExitLabel(exit) {
+        return { auction: 'Auction House', vendor: 'Vendor', disenchant: 'Disenchant' }[exit] || exit;
+    }
+
+    getAuctionFees(itemId, unitPrice, units = 1) {
+        // Shared fee model behind every profit figure: the cut is taken from each sale,
+        // and deposits are lost on every listing that expires before it sells
+        const { cutPercent, duration, relistRate } = this.feeSettings;
+        const depositRate = this.listingDurations[duration]?.depositRate || 0;
+        const depositPerListing = Math.floor(this.getVendorSellPrice(itemId) * depositRate);
+        const failedListingsPerSale = relistRate / (1 - relistRate);
+
+        const cut = unitPrice * units * (cutPercent / 100);
+        const deposit = depositPerListing * failedListingsPerSale * units;
+        return { cut, deposit, total: cut + deposit };
+    }
+
+    getDepositCoverage() {
+        // Deposits come from vendor sell prices, so they only apply to results that have one
+        const resultIds = new Set(this.recipes.map(recipe => recipe.result_item_id));
+        const priced = [...resultIds].filter(itemId => this.getVendorSellPrice(itemId) > 0).length;
+        return { priced, total: resultIds.size };
+    }
+
+    describeFeeSettings() {
+        const { cutPercent, duration, relistRate } = this.feeSettings;
+        if (!this.getDepositCoverage().priced) return `${cutPercent}% cut · no deposits (no vendor sell prices loaded)`;
+        return `${cutPercent}% cut · ${this.listingDurations[duration]?.label || duration} listings · ${Math.round(relistRate * 100)}% relisted`;
+    }
+
+    setFeeSetting(key, value) {
+        if (key === 'cutPercent' && (isNaN(value) || value < 0 || value > 100)) {
+            this.showError('AH cut must be between 0 and 100%');
+            return;
+        }
+        if (key === 'relistRate' && (isNaN(value) || value < 0 || value > 0.9)) {
+            this.showError('Relist rate must be between 0 and 90%');
+            return;
+        }
+        if (key === 'duration' && !this.listingDurations[value]) return;
+
+        this.feeSettings[key] = value;
+        localStorage.setItem('feeSettings', JSON.stringify(this.feeSettings));
+        this.refreshPricing();
+    }
+
+    populateFeeSettings() {
+        const duration = document.getElementById('listingDuration');
+        if (duration) {
+            duration.innerHTML = Object.entries(this.listingDurations)
+                .map(([id, option]) => `<option value="${id}">${option.label}</option>`)
+                .join('');
+            duration.value = this.feeSettings.duration;
+        }
+
+        const ahCut = document.getElementById('ahCut');
+        if (ahCut) ahCut.value = this.feeSettings.cutPercent;
+        const relistRate = document.getElementById('relistRate');
+        if (relistRate) relistRate.value = Math.round(this.feeSettings.relistRate * 100);
+
+        // Duration and relist rate only feed the deposit, so they do nothing without vendor sell prices
+        const coverage = this.getDepositCoverage();
+        if (duration) duration.disabled = !coverage.priced;
+        if (relistRate) relistRate.disabled = !coverage.priced;
+        const hint = document.getElementById('depositCoverage');
+        if (hint) {
+            hint.textContent = coverage.priced ?
+                `Deposits known for ${coverage.priced} of ${coverage.total} crafted items; the rest list for free` :
+                'No vendor sell prices for crafted items, so listings carry no deposit';
+        }
+
+        const summary = document.getElementById('calcFeeSummary');
+        if (summary) summary.textContent = this.describeFeeSettings();
+    }
+
+    getSnapshotPrice(snapshot, itemId, role = 'material') {
+        const entry = snapshot?.prices[itemId];
+        if (!entry) return null;
+        const [minBuyout, marketValue] = entry;
+        return this.resolvePrice(minBuyout, marketValue, role);
+    }
+
+    getMarketPrice(itemId, snapshot = null, role = 'material') {
+        const auctionInfo = this.auctionData[itemId];
+        const currentPrice = auctionInfo ? this.resolvePrice(auctionInfo.minBuyout, auctionInfo.marketValue, role) : 0;
+        if (!snapshot) return currentPrice;
+
+        // Items missing from an older snapshot keep their current price so they don't fake a trend
+        return this.getSnapshotPrice(snapshot, itemId, role) ?? currentPrice;
+    }
+
+    getItemTrend(itemId, timeframe = this.trendTimeframe, role = 'material') {
+        const currentPrice = this.getMarketPrice(itemId, null, role);
+        const baselinePrice = this.getSnapshotPrice(this.getHistoryBaseline(timeframe), itemId, role);
+
+        if (!baselinePrice || !currentPrice) {
+            return { direction: 'stable', change: 0, hasHistory: false };
+        }
+
+        const change = parseFloat((((currentPrice - baselinePrice) / baselinePrice) * 100).toFixed(1));
+        return { direction: this.classifyTrend(change), change, hasHistory: true };
+    }
+
+    classifyTrend(change) {
+        if (change >= this.trendThreshold) return 'up';
+        if (change <= -this.trendThreshold) return 'down';
+        return 'stable';
+    }
+
+    percentChange(current, previous) {
+        if (!previous) return 0;
+        return parseFloat((((current - previous) / Math.abs(previous)) * 100).toFixed(1));
+    }
+
+    formatTrendChange(trend) {
+        if (!trend.hasHistory) return 'No history';
+        return `${trend.change > 0 ? '+' : ''}${trend.change}%`;
+    }
+
+    getPricingState() {
+        // Everything the engine reads that can change on the page
+        return {
+            priceSettings: this.priceSettings,
+            feeSettings: this.feeSettings,
+            customMaterialCosts: this.customMaterialCosts,
+            characters: this.characters,
+            activeCharacter: this.activeCharacter,
+            priceDatasets: this.priceDatasets,
+            activeDataset: this.activeDataset,
+            trendTimeframe: this.trendTimeframe,
+            trendThreshold: this.trendThreshold,
+            recipeFilters: this.recipeFilters,
+            sortKeys: this.sortKeys
+        };
+    }
+
+    getLoadedData() {
+        // What loadData() leaves behind, for a page whose engine runs in the worker
+        return {
+            recipes: this.recipes,
+            auctionData: this.auctionData,
+            marketData: this.marketData,
+            priceHistory: this.priceHistory,
+            priceFileIssues: this.priceFileIssues,
+            vendorPrices: this.vendorPrices,
+            vendorFileIssues: this.vendorFileIssues,
+            disenchantTable: this.disenchantTable,
+            disenchantFileIssues: this.disenchantFileIssues,
+            conversionRecipes: this.conversionRecipes,
+            conversionFileIssues: this.conversionFileIssues,
+            yieldModifiers: this.yieldModifiers,
+            yieldFileIssues: this.yieldFileIssues,
+            cooldowns: this.cooldowns,
+            cooldownFileIssues: this.cooldownFileIssues,
+            dataQuality: this.dataQuality,
+            recipeIssues: this.recipeIssues,
+            activeDataset: this.activeDataset
+        };
+    }
+
+    handlePricingMessage({ id, action, itemIds, state }, post) {
+        // Settings always follow the newest request; work owed by the ones it replaces is merged in
+        Object.assign(this, state);
+        const owed = this.pendingPricing;
+        this.pendingPricing = {
+            id,
+            level: Math.max(owed?.level || 0, this.pricingLevels[action]),
+            itemIds: [...(owed?.itemIds || []), ...itemIds]
+        };
+        if (!this.pricingRunning) this.drainPricingQueue(post);
+    }
+
+    async drainPricingQueue(post) {
+        this.pricingRunning = true;
+        while (this.pendingPricing) {
+            const job = this.pendingPricing;
+            const superseded = () => this.pendingPricing !== job;
+            const onProgress = (progress, stage) => post({ id: job.id, type: 'progress', progress, stage });
+
+            let response;
+            try {
+                response = { id: job.id, type: 'result', ...await this.runPricingJob(job, superseded, onProgress) };
+            } catch (error) {
+                response = { id: job.id, type: 'error', message: error.message };
+            }
+            // A newer job already carries this one's work
+            if (superseded()) continue;
+
+            this.pendingPricing = null;
+            post(response);
+        }
+        this.pricingRunning = false;
+    }
+
+    async runPricingJob(job, superseded, onProgress) {
+        const { filter, customCosts, process, load } = this.pricingLevels;
+        if (job.level >= load) {
+            onProgress(0, 'Loading market data');
+            await this.loadData();
+        }
+
+        if (job.level >= process) {
+            // The graph only depends on the recipe list, so it survives price and filter changes
+            this.buildRecipeGraph();
+            if (!await this.calculateOptimalCosts(superseded, onProgress)) return null;
+        } else if (job.level === customCosts) {
+            this.updateCustomCosts(job.itemIds);
+        }
+
+        this.filteredRecipes = this.filterRecipes();
+        this.sortRecipes();
+        return {
+            data: job.level >= load ? this.getLoadedData() : null,
+            processedRecipes: job.level > filter ? this.processedRecipes : null,
+            filteredIds: this.filteredRecipes.map(recipe => recipe.recipe_id)
+        };
+    }
+
+    buildRecipeGraph() {
+        if (this.recipeGraph && this.recipeGraph.recipes === this.recipes &&
+            this.recipeGraph.conversions === this.conversionRecipes) return this.recipeGraph;
+
+        // Edges run from a crafted item to the materials of every recipe that produces it.
+        // Conversions produce items too, but never show up as recipes of their own.
+        const producers = new Map();
+        [...this.recipes, ...this.conversionRecipes].forEach(recipe => {
+            if (!producers.has(recipe.result_item_id)) producers.set(recipe.result_item_id, []);
+            producers.get(recipe.result_item_id).push(recipe);
+        });
+
+        const consumers = new Map();
+        producers.forEach((recipes, itemId) => {
+            recipes.forEach(recipe => {
+                recipe.materials.forEach(material => {
+                    if (!consumers.has(material.itemId)) consumers.set(material.itemId, new Set());
+                    consumers.get(material.itemId).add(itemId);
+                });
+            });
+        });
+
+        // Tarjan's algorithm: items sharing a component are part of the same crafting cycle
+        const components = new Map();
+        const cyclicItems = new Set();
+        const indices = new Map();
+        const lowlinks = new Map();
+        const stack = [];
+        const onStack = new Set();
+        let index = 0;
+
+        const strongConnect = (itemId) => {
+            indices.set(itemId, index);
+            lowlinks.set(itemId, index);
+            index++;
+            stack.push(itemId);
+            onStack.add(itemId);
+
+            const recipes = producers.get(itemId) || [];
+            recipes.flatMap(recipe => recipe.materials).forEach(({ itemId: next }) => {
+                if (!indices.has(next)) {
+                    strongConnect(next);
+                    lowlinks.set(itemId, Math.min(lowlinks.get(itemId), lowlinks.get(next)));
+                } else if (onStack.has(next)) {
+                    lowlinks.set(itemId, Math.min(lowlinks.get(itemId), indices.get(next)));
+                }
+            });
+
+            if (lowlinks.get(itemId) === indices.get(itemId)) {
+                const members = [];
+                let member;
+                do {
+                    member = stack.pop();
+                    onStack.delete(member);
+                    components.set(member, indices.get(itemId));
+                    members.push(member);
+                } while (member !== itemId);
+
+                const selfReferencing = recipes.some(recipe => recipe.materials.some(material => material.itemId === itemId));
+                if (members.length > 1 || selfReferencing) {
+                    members.forEach(cyclicItem => cyclicItems.add(cyclicItem));
+                }
+            }
+        };
+
+        producers.forEach((recipes, itemId) => {
+            if (!indices.has(itemId)) strongConnect(itemId);
+        });
+
+        this.recipeGraph = { recipes: this.recipes, conversions: this.conversionRecipes, producers, consumers, components, cyclicItems };
+        this.itemCostCache = new Map();
+        return this.recipeGraph;
+    }
+
+    inSameCycle(itemId, otherItemId) {
+        const component = this.recipeGraph.components.get(itemId);
+        return component !== undefined && component === this.recipeGraph.components.get(otherItemId);
+    }
+
+    getDownstreamItems(itemIds) {
+        // Everything whose crafting cost can change when these items change
+        const affected = new Set(itemIds);
+        const queue = [...itemIds];
+
+        while (queue.length > 0) {
+            const consumers = this.recipeGraph.consumers.get(queue.shift());
+            if (!consumers) continue;
+            consumers.forEach(itemId => {
+                if (!affected.has(itemId)) {
+                    affected.add(itemId);
+                    queue.push(itemId);
+                }
+            });
+        }
+
+        return affected;
+    }
+
+    getItemCost(itemId, cache = this.itemCostCache, snapshot = null) {
+        if (cache.has(itemId)) return cache.get(itemId);
+
+        const marketCost = this.getMarketPrice(itemId, snapshot);
+
+        // When several recipes produce the item, crafting means using the cheapest one
+        const alternatives = this.getProducers(itemId)
+            .map(recipe => ({
+                recipeId: recipe.recipe_id,
+                name: recipe.name,
+                profession: recipe.profession,
+                conversion: recipe.conversion || null,
+                craftingCost: this.getCraftingCost(recipe, cache, snapshot)
+            }))
+            .sort((a, b) => (a.craftingCost ?? Infinity) - (b.craftingCost ?? Infinity));
+        const best = alternatives[0]?.craftingCost !== null ? alternatives[0] : null;
+        const craftingCost = best ? best.craftingCost : null;
+
+        const cost = {
+            marketCost,
+            craftingCost,
+            craftingRecipeId: best ? best.recipeId : null,
+            craftingMethod: best ? best.conversion : null,
+            alternatives,
+            vendorCost: this.getVendorBuyPrice(itemId),
+            ...this.chooseCostSource(itemId, marketCost, craftingCost, null, this.getVendorBuyPrice(itemId))
+        };
+
+        cache.set(itemId, cost);
+        return cost;
+    }
+
+    getProducers(itemId) {
+        return this.recipeGraph.producers.get(itemId) || [];
+    }
+
+    getInputCost(materialId, consumerItemId, cache = this.itemCostCache, snapshot = null) {
+        // Crafting an input from inside the same cycle would loop forever, so it can only be bought
+        if (this.inSameCycle(materialId, consumerItemId)) {
+            const marketCost = this.getMarketPrice(materialId, snapshot);
+            return {
+                marketCost,
+                craftingCost: null,
+                craftingRecipeId: null,
+                craftingMethod: null,
+                alternatives: [],
+                vendorCost: this.getVendorBuyPrice(materialId),
+                ...this.chooseCostSource(materialId, marketCost, null, null, this.getVendorBuyPrice(materialId))
+            };
+        }
+        return this.getItemCost(materialId, cache, snapshot);
+    }
+
+    getCraftingCost(recipe, cache = this.itemCostCache, snapshot = null) {
+        let totalCost = 0;
+
+        for (const material of recipe.materials) {
+            const { unitCost } = this.getInputCost(material.itemId, recipe.result_item_id, cache, snapshot);
+            if (unitCost === 0) {
+                return null; // Can't calculate cost if material has no price
+            }
+            totalCost += unitCost * material.quantity;
+        }
+
+        const share = this.getConversionShare(recipe, snapshot);
+        if (share === null) return null;
+
+        // Return cost per unit of the result
+        return totalCost * share / this.getExpectedYield(recipe);
+    }
+
+    getConversionShare(recipe, snapshot = null) {
+        // A conversion's input cost is split across its outputs by expected market value,
+        // so a prospected gem carries only its part of the ore. Regular recipes keep it all.
+        if (!recipe.outputs) return 1;
+
+        const outputValue = (output) => this.getMarketPrice(output.itemId, snapshot) * output.quantity;
+        const total = recipe.outputs.reduce((sum, output) => sum + outputValue(output), 0);
+        if (total === 0) return null;
+
+        const own = recipe.outputs.find(output => output.itemId === recipe.result_item_id);
+        return outputValue(own) / total;
+    }
+
+    async calculateOptimalCosts(superseded = () => false, onProgress = () => {}) {
+        // Priced in chunks so progress shows and a newer request can cut the work short
+        this.itemCostCache = new Map();
+        this.sellThroughCache = new Map();
+        const processed = [];
+
+        for (let start = 0; start < this.recipes.length; start += this.pricingChunkSize) {
+            onProgress(start / this.recipes.length, 'Pricing recipes');
+            await new Promise(resolve => setTimeout(resolve, 0));
+            if (superseded()) return false;
+            this.recipes.slice(start, start + this.pricingChunkSize)
+                .forEach(recipe => processed.push(this.processRecipe(recipe)));
+        }
+
+        this.processedRecipes = processed;
+        return true;
+    }
+
+    processRecipe(recipe) {
+        let materialsCost = 0;
+        let allMaterialsAvailable = true;
+
+        const materialDetails = recipe.materials.map(material => {
+            const auctionInfo = this.auctionData[material.itemId];
+            const { marketCost, craftingCost, craftingRecipeId, craftingMethod, alternatives, unitCost, costSource, buyCost } =
+                this.getInputCost(material.itemId, recipe.result_item_id);
+            const totalCost = unitCost * material.quantity;
+            materialsCost += totalCost;
+
+            // Vendors never run out
+            if (costSource !== 'vendor' && (!auctionInfo || (marketCost === 0 && craftingCost === null))) {
+                allMaterialsAvailable = false;
+            }
+
+            return {
+                ...material,
+                name: auctionInfo?.itemName || this.vendorPrices[material.itemId]?.name || `Item ${material.itemId}`,
+                marketCost: marketCost,
+                unitCost: unitCost,
+                craftingCost: craftingCost,
+                totalCost: totalCost,
+                available: auctionInfo?.quantity || 0,
+                costSource: costSource,
+                craftingRecipeId: craftingRecipeId,
+                craftingMethod: craftingMethod,
+                craftingAlternatives: alternatives,
+                isCustomCost: costSource === 'custom',
+                savings: craftingCost !== null && costSource === 'crafting' ?
+                    (buyCost - craftingCost) * material.quantity : 0
+            };
+        });
+
+        // Calculate result value and profit
+        const resultInfo = this.auctionData[recipe.result_item_id];
+        const yieldInfo = this.getRecipeYield(recipe);
+        const sale = this.getResultSale(recipe.result_item_id, yieldInfo.expected);
+        const totalResultValue = sale.value;
+        const fees = sale.fees;
+        const profit = totalResultValue - fees.total - materialsCost;
+        const margin = materialsCost > 0 ? ((profit / materialsCost) * 100) : 0;
+        const roi = materialsCost > 0 ? ((profit / materialsCost) * 100) : 0;
+        const sellThrough = this.estimateSellThrough(recipe.result_item_id);
+
+        return {
+            ...recipe,
+            materialDetails,
+            materialsCost,
+            resultValue: totalResultValue,
+            resultExit: sale.exit,
+            cooldown: this.getRecipeCooldown(recipe),
+            expectedQuantity: yieldInfo.expected,
+            yieldModifiers: yieldInfo.modifiers,
+            fees,
+            profit,
+            margin,
+            roi,
+            allMaterialsAvailable,
+            resultName: resultInfo?.itemName || `Item ${recipe.result_item_id}`,
+            trend: this.getItemTrend(recipe.result_item_id, this.trendTimeframe, 'result'),
+            volume: sellThrough.unitsPerDay,
+            sellThroughSource: sellThrough.source,
+            totalSavings: materialDetails.reduce((sum, mat) => sum + mat.savings, 0)
+        };
+    }
+
+    updateCustomCosts(itemIds) {
+        // Only recipes that consume something downstream of the changed materials need work
+        const affected = this.getDownstreamItems(itemIds);
+        affected.forEach(itemId => this.itemCostCache.delete(itemId));
+
+        this.processedRecipes = this.processedRecipes.map(recipe =>
+            recipe.materials.some(material => affected.has(material.itemId)) ? this.processRecipe(recipe) : recipe
+        );
+    }
+
+    findRecipe(recipeId) {
+        return this.processedRecipes.find(r => r.recipe_id === recipeId);
+    }
+
+    estimateSellThrough(itemId) {
+        // Expected units of an item the market absorbs per day
+        if (this.sellThroughCache.has(itemId)) return this.sellThroughCache.get(itemId);
+
+        const dayMs = 24 * 60 * 60 * 1000;
+        const windowStart = Date.now() - this.getTimeframeMs('7d');
+        const snapshots = this.priceHistory.filter(snapshot => snapshot.timestamp >= windowStart);
+        let disappeared = 0;
+        let elapsedDays = 0;
+
+        // With history, count how many listed units vanish between snapshots
+        for (let i = 1; i < snapshots.length; i++) {
+            const previous = snapshots[i - 1].prices[itemId];
+            const current = snapshots[i].prices[itemId];
+            if (!previous || !current) continue;
+
+            disappeared += Math.max(0, previous[2] - current[2]);
+            elapsedDays += (snapshots[i].timestamp - snapshots[i - 1].timestamp) / dayMs;
+        }
+
+        let estimate;
+        if (elapsedDays >= 0.25) {
+            estimate = { unitsPerDay: disappeared / elapsedDays, source: 'history' };
+        } else {
+            // Without history, guess conservatively that a quarter of the posted auctions sell per day,
+            // one unit each, so a few big stacks don't read as high demand
+            const auctionInfo = this.auctionData[itemId];
+            let unitsPerDay = 0;
+            if (auctionInfo?.quantity > 0) {
+                const auctions = Math.min(auctionInfo.quantity, auctionInfo.numAuctions || 1);
+                unitsPerDay = auctions * 0.25;
+            } else if (auctionInfo?.marketValue > 0) {
+                unitsPerDay = 0.1;
+            }
+            estimate = { unitsPerDay, source: auctionInfo ? 'estimate' : 'none' };
+        }
+
+        estimate.unitsPerDay = parseFloat(estimate.unitsPerDay.toFixed(1));
+        this.sellThroughCache.set(itemId, estimate);
+        return estimate;
+    }
+
+    getSellThroughOutlook(recipe, crafts, days = this.sellWindowDays) {
+        // How much of a batch the market can take within the sell window
+        // Vendors take everything at once; disenchanted results don't wait on buyers for the item itself
+        const instant = recipe.resultExit !== 'auction';
+        const units = crafts * recipe.expectedQuantity;
+        const unitsPerDay = recipe.volume;
+        const soldUnits = instant ? units : Math.min(units, unitsPerDay * days);
+        const unitPrice = recipe.expectedQuantity > 0 ? recipe.resultValue / recipe.expectedQuantity : 0;
+        const fees = this.getSaleFees(recipe, unitPrice, soldUnits);
+
+        return {
+            units,
+            unitsPerDay,
+            soldUnits,
+            daysToSell: instant ? 0 : unitsPerDay > 0 ? units / unitsPerDay : Infinity,
+            soldValue: soldUnits * unitPrice,
+            fees,
+            netSoldValue: soldUnits * unitPrice - fees.total
+        };
+    }
+
+    formatDaysToSell(days) {
+        if (!isFinite(days)) return 'No buyers';
+        if (days === 0) return 'Instant';
+        if (days < 1) return `${Math.max(1, Math.round(days * 24))}h`;
+        return `${days.toFixed(1)} days`;
+    }
+
+    chooseCostSource(itemId, marketCost, craftingCost, forced = null, vendorCost = 0) {
+        // Single place that decides between buying and crafting a material.
+        // `forced` ('market' or 'crafting') comes from the cost tree in the recipe modal.
+        // Buying means the cheaper of a vendor and the auction house.
+        const fromVendor = vendorCost > 0 && (marketCost === 0 || vendorCost <= marketCost);
+        const buyCost = fromVendor ? vendorCost : marketCost;
+        if (forced === 'market') {
+            return { costSource: fromVendor ? 'vendor' : 'market', unitCost: buyCost, buyCost, reason: 'forced' };
+        }
+        if (forced === 'crafting' && craftingCost !== null) {
+            return { costSource: 'crafting', unitCost: craftingCost, buyCost, reason: 'forced' };
+        }
+        if (this.customMaterialCosts[itemId] !== undefined) {
+            return { costSource: 'custom', unitCost: this.customMaterialCosts[itemId], buyCost, reason: 'custom' };
+        }
+
+        if (craftingCost !== null && (craftingCost < buyCost || buyCost === 0)) {
+            return { costSource: 'crafting', unitCost: craftingCost, buyCost, reason: buyCost === 0 ? 'no-market' : 'cheaper-to-craft' };
+        }
+        if (fromVendor) {
+            return { costSource: 'vendor', unitCost: vendorCost, buyCost, reason: 'vendor' };
+        }
+        return { costSource: 'market', unitCost: marketCost, buyCost, reason: craftingCost === null ? 'not-craftable' : 'cheaper-to-buy' };
+    }
+
+    buildCostTree(recipe, overrides = {}) {
+        this.buildRecipeGraph();
+
+        const materials = recipe.materials.map(material =>
+            this.buildCostNode(material.itemId, material.quantity, recipe.result_item_id, `${material.itemId}`, overrides)
+        );
+
+        const materialsCost = materials.reduce((sum, node) => sum + node.totalCost, 0);
+        const sale = this.getResultSale(recipe.result_item_id, this.getExpectedYield(recipe));
+
+        return {
+            recipeId: recipe.recipe_id,
+            materials,
+            materialsCost,
+            resultValue: sale.value,
+            fees: sale.fees,
+            profit: sale.value - sale.fees.total - materialsCost
+        };
+    }
+
+    buildCostNode(itemId, quantity, consumerItemId, path, overrides) {
+        const marketCost = this.getMarketPrice(itemId);
+        const producers = this.getProducers(itemId);
+        const circular = producers.length > 0 && this.inSameCycle(itemId, consumerItemId);
+        // Expand the recipe the engine would pick, or the first one to show why none is craftable
+        const { craftingRecipeId, alternatives } = circular ? { craftingRecipeId: null, alternatives: [] } : this.getItemCost(itemId);
+        const craftingRecipe = producers.find(recipe => recipe.recipe_id === craftingRecipeId) || producers[0];
+        let children = [];
+        let craftingCost = null;
+
+        if (craftingRecipe && !circular) {
+            const crafts = quantity / this.getExpectedYield(craftingRecipe);
+            children = craftingRecipe.materials.map(material =>
+                this.buildCostNode(material.itemId, material.quantity * crafts, itemId, `${path}/${material.itemId}`, overrides)
+            );
+
+            // Same rules as getCraftingCost: an unpriced input makes the craft unpriceable,
+            // and a conversion only charges this output its share of the input
+            const share = this.getConversionShare(craftingRecipe);
+            if (!children.some(child => child.unitCost === 0) && share !== null) {
+                craftingCost = children.reduce((sum, child) => sum + child.totalCost, 0) * share / quantity;
+            }
+        }
+
+        const vendorCost = this.getVendorBuyPrice(itemId);
+        const decision = this.chooseCostSource(itemId, marketCost, craftingCost, overrides[path], vendorCost);
+
+        return {
+            itemId,
+            path,
+            name: this.auctionData[itemId]?.itemName || this.vendorPrices[itemId]?.name || `Item ${itemId}`,
+            quantity,
+            marketCost,
+            vendorCost,
+            craftingCost,
+            recipeName: craftingRecipe && !circular ? craftingRecipe.name : null,
+            craftingMethod: craftingRecipe && !circular ? craftingRecipe.conversion || null : null,
+            alternatives,
+            circular,
+            forced: overrides[path] || null,
+            children,
+            ...decision,
+            totalCost: decision.unitCost * quantity
+        };
+    }
+
+    valueRecipesAt(recipes, snapshot = null) {
+        // Values recipes against an older snapshot without touching the live cost cache
+        this.buildRecipeGraph();
+        const cache = snapshot ? new Map() : this.itemCostCache;
+
+        const values = new Map();
+        recipes.forEach(recipe => {
+            let materialsCost = 0;
+            let priced = true;
+
+            recipe.materials.forEach(material => {
+                const { unitCost } = this.getInputCost(material.itemId, recipe.result_item_id, cache, snapshot);
+                materialsCost += unitCost * material.quantity;
+                if (unitCost === 0) priced = false;
+            });
+
+            const sale = this.getResultSale(recipe.result_item_id, this.getExpectedYield(recipe), snapshot);
+            values.set(recipe.recipe_id, {
+                materialsCost,
+                priced,
+                resultPrice: sale.unitPrice,
+                resultValue: sale.value,
+                fees: sale.fees,
+                profit: sale.value - sale.fees.total - materialsCost
+            });
+        });
+
+        return values;
     }
 
-    simulateTrend() {
-        const trends = ['up', 'down', 'stable'];
-        const trend = trends[Math.floor(Math.random() * trends.length)];
-        const change = (Math.random() * 20 - 10).toFixed(1); // -10% to +10%
-        return { direction: trend, change: parseFloat(change) };
+    getCachedRecipeValues(recipes, snapshot = null) {
+        // Trend views revalue the same snapshots on every filter change; the values only change
+        // when recipes are re-priced, so they're kept per snapshot until then
+        if (this.recipeValueCache?.recipes !== this.processedRecipes) {
+            this.recipeValueCache = { recipes: this.processedRecipes, snapshots: new Map() };
+        }
+        const snapshots = this.recipeValueCache.snapshots;
+        if (!snapshots.has(snapshot)) snapshots.set(snapshot, new Map());
+
+        const values = snapshots.get(snapshot);
+        const missing = recipes.filter(recipe => !values.has(recipe.recipe_id));
+        if (missing.length > 0) {
+            this.valueRecipesAt(missing, snapshot).forEach((value, recipeId) => values.set(recipeId, value));
+        }
+        return values;
     }
 
     setupEventListeners() {
@@ -235,12 +2402,20 @@ class CraftingProPlatform {
         // Global search
         const globalSearch = document.getElementById('globalSearch');
         if (globalSearch) {
-            globalSearch.addEventListener('input', (e) => this.handleGlobalSearch(e.target.value));
+            globalSearch.addEventListener('input', (e) => {
+                // Scoring the whole index takes a while, so wait until typing pauses
+                clearTimeout(this.searchDebounce);
+                this.searchDebounce = setTimeout(() => {
+                    this.searchDebounce = null;
+                    this.handleGlobalSearch(e.target.value);
+                }, this.searchDebounceMs);
+            });
             globalSearch.addEventListener('focus', (e) => {
                 if (e.target.value.length >= 2) {
                     this.handleGlobalSearch(e.target.value);
                 }
             });
+            globalSearch.addEventListener('keydown', (e) => this.handleSearchKey(e));
         }
 
         // Close search suggestions when clicking outside
@@ -260,31 +2435,121 @@ class CraftingProPlatform {
 
         if (professionFilter) professionFilter.addEventListener('change', () => this.applyFilters());
         if (minProfitFilter) minProfitFilter.addEventListener('input', () => this.applyFilters());
-        if (sortBy) sortBy.addEventListener('change', (e) => {
-            this.sortBy = e.target.value;
-            this.sortRecipes();
-            this.updateTabContent();
+
+        // Query bar and saved filters
+        const recipeQuery = document.getElementById('recipeQuery');
+        const savedFilters = document.getElementById('savedFilters');
+        const saveFilter = document.getElementById('saveFilter');
+        const deleteFilter = document.getElementById('deleteFilter');
+        if (recipeQuery) recipeQuery.addEventListener('input', () => this.applyFilters());
+        if (savedFilters) savedFilters.addEventListener('change', (e) => this.loadSavedFilter(e.target.value));
+        if (saveFilter) saveFilter.addEventListener('click', () => this.saveRecipeFilter());
+        if (deleteFilter) deleteFilter.addEventListener('click', () => this.deleteSavedFilter());
+        if (sortBy) sortBy.addEventListener('change', async (e) => {
+            this.sortKeys = [{ field: e.target.value, order: 'desc' }];
+            this.updateSortIndicators();
+            if (await this.requestPricing('filter')) this.updateTabContent();
         });
         if (resetFilters) resetFilters.addEventListener('click', () => this.resetFilters());
 
-        // Table sorting
+        // Price strategies
+        ['material', 'result'].forEach(role => {
+            const select = document.getElementById(`${role}PriceStrategy`);
+            if (select) select.addEventListener('change', (e) => this.setPriceStrategy(role, e.target.value));
+        });
+        const blendWeight = document.getElementById('blendWeight');
+        if (blendWeight) blendWeight.addEventListener('change', (e) => this.setBlendWeight(parseFloat(e.target.value) / 100));
+
+        // Auction house fees
+        const ahCut = document.getElementById('ahCut');
+        if (ahCut) ahCut.addEventListener('change', (e) => this.setFeeSetting('cutPercent', parseFloat(e.target.value)));
+        const listingDuration = document.getElementById('listingDuration');
+        if (listingDuration) listingDuration.addEventListener('change', (e) => this.setFeeSetting('duration', e.target.value));
+        const relistRate = document.getElementById('relistRate');
+        if (relistRate) relistRate.addEventListener('change', (e) => this.setFeeSetting('relistRate', parseFloat(e.target.value) / 100));
+
+        // Trends
+        const trendTimeframe = document.getElementById('trendTimeframe');
+        const trendProfession = document.getElementById('trendProfession');
+        const trendThreshold = document.getElementById('trendThreshold');
+
+        if (trendTimeframe) trendTimeframe.addEventListener('change', async (e) => {
+            this.trendTimeframe = e.target.value;
+            // Recipe trends and market movers are priced against the timeframe, so re-price first
+            if (await this.requestPricing('process')) this.updateTabContent();
+        });
+        if (trendProfession) trendProfession.addEventListener('change', (e) => {
+            this.trendProfession = e.target.value;
+            this.updateTrends();
+        });
+        if (trendThreshold) {
+            trendThreshold.value = this.trendThreshold;
+            trendThreshold.addEventListener('change', async (e) => {
+                const threshold = parseFloat(e.target.value);
+                if (isNaN(threshold) || threshold < 0) {
+                    this.showError('Please enter a valid trend threshold');
+                    return;
+                }
+                this.trendThreshold = threshold;
+                localStorage.setItem('trendThreshold', JSON.stringify(threshold));
+                if (await this.requestPricing('process')) this.updateTabContent();
+            });
+        }
+
+        // Table sorting; shift-click adds a tie-breaking column
         document.querySelectorAll('.sortable').forEach(header => {
             header.addEventListener('click', (e) => {
                 const sortField = e.currentTarget.dataset.sort;
-                this.handleSort(sortField);
+                this.handleSort(sortField, e.shiftKey);
             });
         });
+        this.updateSortIndicators();
 
         // Pagination
         const prevPage = document.getElementById('prevPage');
         const nextPage = document.getElementById('nextPage');
+        const pageSize = document.getElementById('pageSize');
         if (prevPage) prevPage.addEventListener('click', () => this.changePage(-1));
         if (nextPage) nextPage.addEventListener('click', () => this.changePage(1));
+        if (pageSize) {
+            pageSize.value = this.itemsPerPage;
+            pageSize.addEventListener('change', (e) => this.setItemsPerPage(parseInt(e.target.value)));
+        }
+
+        // Only the rows in view are rendered, so scrolling renders the next window
+        const recipesWrapper = document.getElementById('recipesTableWrapper');
+        if (recipesWrapper) recipesWrapper.addEventListener('scroll', () => {
+            if (this.recipeScrollFrame) return;
+            this.recipeScrollFrame = requestAnimationFrame(() => {
+                this.recipeScrollFrame = null;
+                this.renderRecipeRows();
+            });
+        });
+
+        // Column visibility
+        const columnToggle = document.getElementById('columnToggle');
+        if (columnToggle) columnToggle.addEventListener('click', () => {
+            this.renderColumnMenu();
+            document.getElementById('columnMenu')?.classList.toggle('show');
+        });
+        document.addEventListener('click', (e) => {
+            if (!e.target.closest('.column-menu-container')) {
+                document.getElementById('columnMenu')?.classList.remove('show');
+            }
+        });
 
         // Calculator
         const calculateBtn = document.getElementById('calculateBtn');
         if (calculateBtn) calculateBtn.addEventListener('click', () => this.calculateProfit());
 
+        // Leveling planner
+        const planLeveling = document.getElementById('planLeveling');
+        if (planLeveling) planLeveling.addEventListener('click', () => this.planLevelingFromForm());
+
+        // Budget optimizer
+        const runOptimizer = document.getElementById('runOptimizer');
+        if (runOptimizer) runOptimizer.addEventListener('click', () => this.optimizeFromForm());
+
         // Modals
         document.querySelectorAll('.modal-close').forEach(btn => {
             btn.addEventListener('click', (e) => {
@@ -299,7 +2564,71 @@ class CraftingProPlatform {
 
         // Alerts
         const createAlert = document.getElementById('createAlert');
+        const alertForm = document.getElementById('alertForm');
+        const alertType = document.getElementById('alertType');
+        const markAlertsRead = document.getElementById('markAlertsRead');
+        const clearAlertEvents = document.getElementById('clearAlertEvents');
         if (createAlert) createAlert.addEventListener('click', () => this.showCreateAlertModal());
+        if (alertForm) alertForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveAlertFromForm();
+        });
+        if (alertType) alertType.addEventListener('change', (e) => this.populateAlertTargets(e.target.value));
+        if (markAlertsRead) markAlertsRead.addEventListener('click', () => this.markAlertEventsRead());
+        if (clearAlertEvents) clearAlertEvents.addEventListener('click', () => this.clearAlertEvents());
+
+        // Characters
+        const activeCharacter = document.getElementById('activeCharacter');
+        const characterMenu = document.getElementById('characterMenu');
+        const characterForm = document.getElementById('characterForm');
+        const newCharacter = document.getElementById('newCharacter');
+        if (activeCharacter) activeCharacter.addEventListener('change', (e) => this.setActiveCharacter(e.target.value));
+        if (characterMenu) characterMenu.addEventListener('click', () => this.showCharacterModal());
+        if (characterForm) characterForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveCharacterFromForm();
+        });
+        if (newCharacter) newCharacter.addEventListener('click', () => this.showCharacterModal());
+
+        // Price datasets
+        const activeDataset = document.getElementById('activeDataset');
+        const manageDatasets = document.getElementById('manageDatasets');
+        const arbitrageManage = document.getElementById('arbitrageManage');
+        const datasetForm = document.getElementById('datasetForm');
+        if (activeDataset) activeDataset.addEventListener('change', (e) => this.switchDataset(e.target.value));
+        if (manageDatasets) manageDatasets.addEventListener('click', () => this.showDatasetModal());
+        if (arbitrageManage) arbitrageManage.addEventListener('click', () => this.showDatasetModal());
+        if (datasetForm) datasetForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.addDatasetFromForm();
+        });
+
+        // Scan imports
+        const importPrices = document.getElementById('importPrices');
+        const previewImport = document.getElementById('previewImport');
+        const applyImport = document.getElementById('applyImport');
+        const importFile = document.getElementById('importFile');
+        const importDropZone = document.getElementById('importDropZone');
+        if (importPrices) importPrices.addEventListener('click', () => this.showImportModal());
+        if (previewImport) previewImport.addEventListener('click', () => this.previewImport());
+        if (applyImport) applyImport.addEventListener('click', () => this.applyImport());
+        if (importFile) importFile.addEventListener('change', (e) => this.readImportFile(e.target.files[0]));
+        if (importDropZone) {
+            importDropZone.addEventListener('dragover', (e) => {
+                e.preventDefault();
+                importDropZone.classList.add('dragging');
+            });
+            importDropZone.addEventListener('dragleave', () => importDropZone.classList.remove('dragging'));
+            importDropZone.addEventListener('drop', (e) => {
+                e.preventDefault();
+                importDropZone.classList.remove('dragging');
+                this.readImportFile(e.dataTransfer.files[0]);
+            });
+        }
+
+        // Market refresh
+        const refreshMarket = document.getElementById('refreshMarket');
+        if (refreshMarket) refreshMarket.addEventListener('click', () => this.refreshMarket());
 
         // Theme toggle
         const themeToggle = document.getElementById('themeToggle');
@@ -310,108 +2639,325 @@ class CraftingProPlatform {
     }
 
     handleGlobalSearch(query) {
-        if (query.length < 2) {
-            document.getElementById('searchSuggestions').style.display = 'none';
+        if (query.trim().length < 2) {
+            this.hideSearchSuggestions();
             return;
         }
 
-        const suggestions = this.recipes
-            .filter(recipe => recipe.name.toLowerCase().includes(query.toLowerCase()))
-            .slice(0, 5)
-            .map(recipe => ({
-                type: 'recipe',
-                name: recipe.name,
-                profession: recipe.profession,
-                id: recipe.recipe_id
-            }));
+        const needle = query.trim().toLowerCase();
+        const craftable = this.getCraftableRecipeIds();
+        const groups = { recipe: [], item: [], material: [] };
 
-        // Add material suggestions
-        const materials = Object.values(this.auctionData)
-            .filter(item => item.itemName.toLowerCase().includes(query.toLowerCase()))
-            .slice(0, 3)
-            .map(item => ({
-                type: 'material',
-                name: item.itemName,
-                id: item.itemId
-            }));
+        this.getSearchIndex().forEach(entry => {
+            if (entry.type === 'recipe' && craftable && !craftable.has(entry.id)) return;
+            const score = this.scoreSearchMatch(needle, entry.key);
+            if (score > 0) groups[entry.type].push({ ...entry, score });
+        });
+
+        // Best match first; shorter names win ties since they're closer to what was typed
+        this.searchResults = Object.values(groups).flatMap(entries => entries
+            .sort((a, b) => b.score - a.score || a.name.length - b.name.length)
+            .slice(0, this.searchGroupLimit));
+        this.searchActiveIndex = this.searchResults.length > 0 ? 0 : -1;
+        this.showSearchSuggestions();
+    }
+
+    getSearchIndex() {
+        // Rebuilt whenever a load hands us a new recipe list
+        if (this.searchIndex?.recipes === this.recipes) return this.searchIndex.entries;
+
+        const entries = this.recipes.map(recipe => ({
+            type: 'recipe',
+            id: recipe.recipe_id,
+            name: recipe.name,
+            detail: recipe.profession
+        }));
+
+        // Items are listed once: as a material if anything consumes them, otherwise as a crafted item
+        const materialIds = new Set(this.recipes.flatMap(recipe => recipe.materials.map(material => material.itemId)));
+        const resultIds = new Set(this.recipes.map(recipe => recipe.result_item_id));
+        materialIds.forEach(itemId => entries.push({
+            type: 'material', id: itemId, name: this.getItemName(itemId), detail: 'Material'
+        }));
+        resultIds.forEach(itemId => {
+            if (!materialIds.has(itemId)) {
+                entries.push({ type: 'item', id: itemId, name: this.getItemName(itemId), detail: 'Crafted item' });
+            }
+        });
+
+        entries.forEach(entry => { entry.key = entry.name.toLowerCase(); });
+        this.searchIndex = { recipes: this.recipes, entries };
+        return entries;
+    }
+
+    getItemName(itemId) {
+        return this.auctionData[itemId]?.itemName || this.vendorPrices[itemId]?.name ||
+            this.disenchantTable.items[itemId]?.name || `Item ${itemId}`;
+    }
+
+    scoreSearchMatch(query, text) {
+        // Whole-name prefixes rank above word prefixes, then substrings, then near misses
+        if (text.startsWith(query)) return 1000 - (text.length - query.length);
+
+        const words = [...text.matchAll(/[a-z0-9']+/g)];
+        if (words.some(word => word[0].startsWith(query))) return 800 - (text.length - query.length);
+
+        const index = text.indexOf(query);
+        if (index !== -1) return 600 - index;
+
+        // Typos: how close the query comes to the start of any word
+        const allowed = query.length >= 8 ? 2 : query.length >= 4 ? 1 : 0;
+        if (allowed > 0) {
+            const best = Math.min(...words.map(word =>
+                this.prefixEditDistance(query, text.slice(word.index, word.index + query.length + allowed), allowed)));
+            if (best <= allowed) return 400 - best * 100;
+        }
+        return 0;
+    }
 
-        this.showSearchSuggestions([...suggestions, ...materials]);
+    prefixEditDistance(query, text, limit) {
+        // Fewest insertions, deletions, substitutions or swapped neighbours turning query into
+        // some prefix of text; gives up with limit + 1 once no prefix can get under the limit
+        let previous = null;
+        let row = Array.from({ length: text.length + 1 }, (_, j) => j);
+        for (let i = 1; i <= query.length; i++) {
+            const next = [i];
+            for (let j = 1; j <= text.length; j++) {
+                const cost = query[i - 1] === text[j - 1] ? 0 : 1;
+                next[j] = Math.min(row[j] + 1, next[j - 1] + 1, row[j - 1] + cost);
+                if (previous && j > 1 && query[i - 1] === text[j - 2] && query[i - 2] === text[j - 1]) {
+                    next[j] = Math.min(next[j], previous[j - 2] + 1);
+                }
+            }
+            if (Math.min(...next) > limit) return limit + 1;
+            previous = row;
+            row = next;
+        }
+        return Math.min(...row.slice(Math.max(0, query.length - limit)));
     }
 
-    showSearchSuggestions(suggestions) {
+    showSearchSuggestions() {
         const container = document.getElementById('searchSuggestions');
-        if (suggestions.length === 0) {
-            container.style.display = 'none';
+        if (this.searchResults.length === 0) {
+            container.innerHTML = '<div class="suggestion-empty">No matches</div>';
+            container.style.display = 'block';
             return;
         }
 
-        container.innerHTML = suggestions.map(item => `
-            <div class="suggestion-item" data-type="${item.type}" data-id="${item.id}">
-                <div class="suggestion-name">${item.name}</div>
-                <div class="suggestion-type">${item.type === 'recipe' ? item.profession : 'Material'}</div>
+        const labels = { recipe: 'Recipes', item: 'Crafted Items', material: 'Materials' };
+        container.innerHTML = this.searchResults.map((item, index) => `
+            ${index === 0 || this.searchResults[index - 1].type !== item.type ? `<div class="suggestion-group">${labels[item.type]}</div>` : ''}
+            <div class="suggestion-item ${index === this.searchActiveIndex ? 'active' : ''}" data-index="${index}">
+                <div class="suggestion-name">${this.escapeHtml(item.name)}</div>
+                <div class="suggestion-type">${item.detail}</div>
             </div>
         `).join('');
         
-        // Add click event listeners to suggestion items
         container.querySelectorAll('.suggestion-item').forEach(item => {
             item.addEventListener('click', (e) => {
                 e.preventDefault();
                 e.stopPropagation();
-                const type = item.dataset.type;
-                const id = parseInt(item.dataset.id);
-                console.log('Suggestion clicked:', type, id); // Debug log
-                this.selectSuggestion(type, id);
+                const result = this.searchResults[parseInt(item.dataset.index)];
+                this.selectSuggestion(result.type, result.id);
             });
         });
         
         container.style.display = 'block';
     }
 
+    hideSearchSuggestions() {
+        const container = document.getElementById('searchSuggestions');
+        if (container) container.style.display = 'none';
+        this.searchResults = [];
+        this.searchActiveIndex = -1;
+    }
+
+    handleSearchKey(e) {
+        if (this.searchDebounce && ['Escape', 'Enter', 'ArrowDown', 'ArrowUp'].includes(e.key)) {
+            // Keys act on what was typed, so a search still waiting on the debounce runs now
+            clearTimeout(this.searchDebounce);
+            this.searchDebounce = null;
+            if (e.key !== 'Escape') this.handleGlobalSearch(e.target.value);
+        }
+
+        const container = document.getElementById('searchSuggestions');
+        const open = container?.style.display === 'block';
+
+        if (e.key === 'Escape') {
+            this.hideSearchSuggestions();
+            return;
+        }
+        if (!open || this.searchResults.length === 0) return;
+
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            const step = e.key === 'ArrowDown' ? 1 : -1;
+            this.searchActiveIndex = (this.searchActiveIndex + step + this.searchResults.length) % this.searchResults.length;
+            container.querySelectorAll('.suggestion-item').forEach(item => {
+                item.classList.toggle('active', parseInt(item.dataset.index) === this.searchActiveIndex);
+            });
+            container.querySelector('.suggestion-item.active')?.scrollIntoView({ block: 'nearest' });
+        } else if (e.key === 'Enter') {
+            e.preventDefault();
+            const result = this.searchResults[Math.max(this.searchActiveIndex, 0)];
+            this.selectSuggestion(result.type, result.id);
+        }
+    }
+
     selectSuggestion(type, id) {
-        console.log('selectSuggestion called with:', type, id); // Debug log
-        
-        const suggestions = document.getElementById('searchSuggestions');
-        suggestions.style.display = 'none';
+        this.hideSearchSuggestions();
         document.getElementById('globalSearch').value = '';
         
         if (type === 'recipe') {
-            console.log('Switching to recipes tab'); // Debug log
             this.switchTab('recipes');
             // Wait for tab to load, then highlight the recipe
             setTimeout(() => {
-                // First, make sure we process the data to have the recipe available
-                this.processData();
                 this.updateRecipesTable();
                 
                 // Find and highlight the recipe row
                 const row = document.querySelector(`[data-recipe-id="${id}"]`);
                 if (row) {
-                    console.log('Found recipe row, highlighting'); // Debug log
                     row.scrollIntoView({ behavior: 'smooth', block: 'center' });
                     row.style.background = 'rgba(59, 130, 246, 0.2)';
                     setTimeout(() => {
                         row.style.background = '';
                     }, 2000);
                 } else {
-                    console.log('Recipe row not found, showing modal'); // Debug log
-                    // If not found in current page, try to find it in all recipes
-                    const recipe = this.recipes.find(r => r.recipe_id === id);
+                    // The row may be filtered out or off screen, so show the details instead
+                    const recipe = this.findRecipe(id);
                     if (recipe) {
-                        // Show recipe details modal instead
                         this.showRecipeDetails(id);
                     }
                 }
             }, 200);
-        } else if (type === 'material') {
-            console.log('Switching to materials tab'); // Debug log
-            this.switchTab('materials');
-            setTimeout(() => {
-                this.updateMaterialsTable();
-                // Could add highlighting for materials too if needed
-            }, 200);
+        } else {
+            this.showItemDetails(id);
         }
     }
 
+    showItemDetails(itemId) {
+        const modal = document.getElementById('itemModal');
+        const title = document.getElementById('itemModalTitle');
+        const details = document.getElementById('itemDetails');
+        const name = this.getItemName(itemId);
+        if (title) title.textContent = name;
+        if (!details) return;
+
+        this.buildRecipeGraph();
+        const cost = this.getItemCost(itemId);
+        const auctionInfo = this.auctionData[itemId];
+        const trend = this.getItemTrend(itemId);
+        const sellThrough = this.estimateSellThrough(itemId);
+        const usedIn = this.processedRecipes
+            .filter(recipe => recipe.materials.some(material => material.itemId === itemId))
+            .sort((a, b) => b.profit - a.profit);
+        const madeBy = cost.alternatives.filter(alternative => alternative.craftingCost !== null);
+        const trendClass = trend.direction === 'up' ? 'positive' : trend.direction === 'down' ? 'negative' : 'neutral';
+
+        details.innerHTML = `
+            <div class="recipe-overview">
+                <div class="overview-left">
+                    <div class="recipe-title-section">
+                        <div class="recipe-badges">
+                            ${this.getCostSourceBadge(cost.costSource, cost.craftingMethod)}
+                            <span class="skill-level">ID ${itemId}</span>
+                        </div>
+                    </div>
+                    <div class="key-metrics">
+                        <div class="metric-item">
+                            <span class="metric-label">Best Cost</span>
+                            <span class="metric-value">${this.formatCurrency(cost.unitCost)}</span>
+                        </div>
+                        <div class="metric-item">
+                            <span class="metric-label">Market</span>
+                            <span class="metric-value">${cost.marketCost > 0 ? this.formatCurrency(cost.marketCost) : 'Not listed'}</span>
+                        </div>
+                        ${cost.vendorCost > 0 ? `
+                            <div class="metric-item">
+                                <span class="metric-label">Vendor</span>
+                                <span class="metric-value">${this.formatCurrency(cost.vendorCost)}</span>
+                            </div>
+                        ` : ''}
+                        <div class="metric-item">
+                            <span class="metric-label">Trend</span>
+                            <span class="metric-value ${trendClass}">${this.formatTrendChange(trend)}</span>
+                        </div>
+                        <div class="metric-item">
+                            <span class="metric-label">Listed</span>
+                            <span class="metric-value">${auctionInfo?.quantity || 0} <span class="mover-hint">(~${sellThrough.unitsPerDay}/day${sellThrough.source === 'history' ? '' : ' est.'})</span></span>
+                        </div>
+                    </div>
+                </div>
+            </div>
+
+            <div class="quality-section">
+                <h3>Used In (${usedIn.length})</h3>
+                ${usedIn.length === 0 ? '<div class="no-data">No recipe uses this item</div>' : `
+                    <table class="advanced-table">
+                        <thead>
+                            <tr><th>Recipe</th><th>Profession</th><th>Needs</th><th>Profit</th><th></th></tr>
+                        </thead>
+                        <tbody>
+                            ${usedIn.slice(0, 25).map(recipe => `
+                                <tr>
+                                    <td>${this.escapeHtml(recipe.name)}</td>
+                                    <td><span class="profession-badge" data-profession="${recipe.profession}">${recipe.profession}</span></td>
+                                    <td>${recipe.materials.find(material => material.itemId === itemId).quantity}x</td>
+                                    <td class="${this.getProfitClass(recipe.profit)}">${this.formatCurrency(recipe.profit)}</td>
+                                    <td>
+                                        <button class="btn btn-outline btn-sm" onclick="platform.closeModal('itemModal'); platform.showRecipeDetails(${recipe.recipe_id})">
+                                            <i class="fas fa-eye"></i>
+                                        </button>
+                                    </td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                    ${usedIn.length > 25 ? `<div class="mover-hint">Showing the 25 most profitable of ${usedIn.length}</div>` : ''}
+                `}
+            </div>
+
+            <div class="quality-section">
+                <h3>Made By (${madeBy.length})</h3>
+                ${madeBy.length === 0 ? '<div class="no-data">Only available from the market or vendors</div>' : `
+                    <table class="advanced-table">
+                        <thead>
+                            <tr><th>Source</th><th>Profession</th><th>Cost Each</th></tr>
+                        </thead>
+                        <tbody>
+                            ${madeBy.map(alternative => `
+                                <tr>
+                                    <td>${this.escapeHtml(alternative.name)} ${alternative.recipeId === cost.craftingRecipeId ? '<span class="cost-source-badge crafting">Cheapest</span>' : ''}</td>
+                                    <td>${alternative.conversion ? this.conversionTypes[alternative.conversion]?.verb || alternative.conversion : alternative.profession}</td>
+                                    <td>${this.formatCurrency(alternative.craftingCost)}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                `}
+            </div>
+
+            <div class="modal-actions">
+                <button class="btn btn-outline" onclick="platform.filterRecipesByMaterial(${itemId})">
+                    <i class="fas fa-filter"></i> Recipes Using It
+                </button>
+                <button class="btn btn-primary" onclick="platform.closeModal('itemModal'); platform.createMaterialAlert(${itemId})">
+                    <i class="fas fa-bell"></i> Price Alert
+                </button>
+            </div>
+        `;
+
+        if (modal) modal.style.display = 'block';
+    }
+
+    filterRecipesByMaterial(itemId) {
+        const recipeQuery = document.getElementById('recipeQuery');
+        if (recipeQuery) recipeQuery.value = `material="${this.getItemName(itemId)}"`;
+        this.closeModal('itemModal');
+        this.switchTab('recipes');
+        this.applyFilters();
+    }
+
     switchTab(tabName) {
         // Update active nav item
         document.querySelectorAll('.nav-item').forEach(item => {
@@ -444,14 +2990,31 @@ class CraftingProPlatform {
             case 'trends':
                 this.updateTrends();
                 break;
+            case 'arbitrage':
+                this.updateArbitrage();
+                break;
             case 'calculator':
                 this.updateCalculator();
                 break;
+            case 'leveling':
+                this.updateLeveling();
+                break;
+            case 'daily':
+                this.updateDailyPlan();
+                break;
+            case 'optimizer':
+                // Re-plan against current prices when coming back to the tab
+                if (this.optimizerRequest) this.renderOptimizerPlan();
+                break;
             case 'portfolio':
                 this.updatePortfolio();
                 break;
             case 'alerts':
                 this.updateAlerts();
+                this.markAlertEventsRead();
+                break;
+            case 'quality':
+                this.updateDataQuality();
                 break;
         }
     }
@@ -459,10 +3022,17 @@ class CraftingProPlatform {
     updateUI() {
         this.populateFilters();
         this.updateSidebarStats();
+        this.updateAlertsBadge();
         this.updateTabContent();
     }
 
     populateFilters() {
+        this.populatePriceStrategies();
+        this.populateFeeSettings();
+        this.populateCharacterSelect();
+        this.populateDatasetSelect();
+        this.populateSavedFilters();
+
         const professions = [...new Set(this.recipes.map(r => r.profession))].sort();
         const professionFilter = document.getElementById('professionFilter');
         const trendProfession = document.getElementById('trendProfession');
@@ -535,7 +3105,7 @@ class CraftingProPlatform {
             .sort((a, b) => a.trend.change - b.trend.change)
             .slice(0, 5);
 
-        const mostActive = this.filteredRecipes
+        const mostActive = [...this.filteredRecipes]
             .sort((a, b) => b.volume - a.volume)
             .slice(0, 5);
 
@@ -551,13 +3121,13 @@ class CraftingProPlatform {
         container.innerHTML = items.map(item => `
             <div class="mover-item">
                 <div class="mover-info">
-                    <div class="mover-name">${item.name}</div>
+                    <div class="mover-name">${this.escapeHtml(item.name)}</div>
                     <div class="mover-profession">
                         <span class="profession-badge" data-profession="${item.profession}">${item.profession}</span>
                     </div>
                 </div>
                 <div class="mover-change ${changeClass}">
-                    ${changeClass === 'neutral' ? item.volume + ' vol' : 
+                    ${changeClass === 'neutral' ? item.volume + '/day' : 
                       (item.trend.change > 0 ? '+' : '') + item.trend.change + '%'}
                 </div>
             </div>
@@ -605,11 +3175,16 @@ class CraftingProPlatform {
         `;
     }
 
-    createSimpleTrendChart() {
-        const container = document.getElementById('trendsChart');
+    createSimpleTrendChart(containerId = 'trendsChart', timeframe = this.trendTimeframe, profession = '') {
+        const container = document.getElementById(containerId);
         if (!container) return;
 
-        const trendData = this.getTrendData();
+        const trendData = this.getTrendData(timeframe, profession);
+        if (trendData.data.length < 2) {
+            container.innerHTML = '<div class="no-chart-data">Not enough price history for this timeframe yet</div>';
+            return;
+        }
+
         const max = Math.max(...trendData.data);
         const min = Math.min(...trendData.data);
         const range = max - min || 1;
@@ -623,7 +3198,7 @@ class CraftingProPlatform {
                     const isDown = index > 0 && value < trendData.data[index - 1];
                     
                     return `
-                        <div class="trend-bar">
+                        <div class="trend-bar" title="${label}: ${this.formatCurrency(value).replace(/<[^>]+>/g, '')}">
                             <div class="trend-value" style="height: ${height}%; background: ${isUp ? '#10b981' : isDown ? '#ef4444' : '#6b7280'}"></div>
                             <div class="trend-label">${label}</div>
                         </div>
@@ -636,6 +3211,7 @@ class CraftingProPlatform {
     updateCharts() {
         // Update simple charts
         this.createSimpleProfitChart();
+        this.createSimpleTrendChart();
     }
 
     resizeCharts() {
@@ -657,21 +3233,36 @@ class CraftingProPlatform {
         };
     }
 
-    getTrendData() {
-        // Simulate 7 days of trend data
+    getTrendData(timeframe = this.trendTimeframe, profession = '', maxPoints = 12) {
+        // Aggregate profit of all profitable recipes at each stored snapshot in the window
+        const windowStart = Date.now() - this.getTimeframeMs(timeframe);
+        let snapshots = this.priceHistory.filter(snapshot => snapshot.timestamp >= windowStart);
+
+        if (snapshots.length > maxPoints) {
+            const step = (snapshots.length - 1) / (maxPoints - 1);
+            snapshots = Array.from({ length: maxPoints }, (_, i) => snapshots[Math.round(i * step)]);
+        }
+
+        const recipes = this.filteredRecipes.filter(r => !profession || r.profession === profession);
         const labels = [];
         const data = [];
-        const baseValue = 1000000;
-        
-        for (let i = 6; i >= 0; i--) {
-            const date = new Date();
-            date.setDate(date.getDate() - i);
-            labels.push(date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' }));
-            
-            const variation = (Math.random() - 0.5) * 0.1; // ±5% variation
-            data.push(baseValue * (1 + variation * i * 0.1));
-        }
-        
+        const latest = this.priceHistory[this.priceHistory.length - 1];
+
+        snapshots.forEach(snapshot => {
+            const date = new Date(snapshot.timestamp);
+            labels.push(timeframe === '24h' ?
+                date.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' }) :
+                date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' }));
+
+            const values = this.getCachedRecipeValues(recipes, snapshot === latest ? null : snapshot);
+            let totalProfit = 0;
+            recipes.forEach(recipe => {
+                const { profit } = values.get(recipe.recipe_id);
+                if (profit > 0) totalProfit += profit;
+            });
+            data.push(totalProfit);
+        });
+
         return { labels, data };
     }
 
@@ -679,50 +3270,166 @@ class CraftingProPlatform {
         const tbody = document.querySelector('#recipesTable tbody');
         if (!tbody) return;
 
+        document.querySelectorAll('#recipesTable th[data-column]').forEach(header => {
+            header.hidden = this.hiddenRecipeColumns.has(header.dataset.column);
+        });
+
+        if (this.getRecipeTableRows().length === 0) {
+            tbody.innerHTML = `<tr><td colspan="${this.getVisibleRecipeColumns().length}" class="no-data">No recipes found</td></tr>`;
+            this.recipeRowWindow = null;
+        } else {
+            this.recipeRowMeasured = false;
+            this.renderRecipeRows(true);
+        }
+
+        this.updatePagination();
+        this.updateTableInfo();
+    }
+
+    getRecipeTableRows() {
+        if (!this.itemsPerPage) return this.filteredRecipes;
         const startIndex = (this.currentPage - 1) * this.itemsPerPage;
-        const endIndex = startIndex + this.itemsPerPage;
-        const pageRecipes = this.filteredRecipes.slice(startIndex, endIndex);
+        return this.filteredRecipes.slice(startIndex, startIndex + this.itemsPerPage);
+    }
 
-        if (pageRecipes.length === 0) {
-            tbody.innerHTML = '<tr><td colspan="8" class="no-data">No recipes found</td></tr>';
-            return;
+    getVisibleRecipeColumns() {
+        return this.recipeColumns.filter(column => !this.hiddenRecipeColumns.has(column.key));
+    }
+
+    renderRecipeRows(force = false) {
+        // Only rows in view (plus some overscan) are in the DOM; spacer rows stand in for the rest
+        const tbody = document.querySelector('#recipesTable tbody');
+        const wrapper = document.getElementById('recipesTableWrapper');
+        const rows = this.getRecipeTableRows();
+        if (!tbody || !wrapper || rows.length === 0) return;
+
+        const rowHeight = this.recipeRowHeight;
+        const headerHeight = document.querySelector('#recipesTable thead')?.offsetHeight || 0;
+        const viewport = wrapper.clientHeight || window.innerHeight;
+        const scrolled = Math.max(0, wrapper.scrollTop - headerHeight);
+        const first = Math.max(0, Math.floor(scrolled / rowHeight) - this.recipeRowOverscan);
+        const last = Math.min(rows.length, Math.ceil((scrolled + viewport) / rowHeight) + this.recipeRowOverscan);
+
+        const range = `${first}:${last}`;
+        if (!force && range === this.recipeRowWindow) return;
+        this.recipeRowWindow = range;
+
+        const columns = this.getVisibleRecipeColumns();
+        const spacer = height => height > 0
+            ? `<tr class="virtual-spacer" style="height: ${height}px"><td colspan="${columns.length}"></td></tr>`
+            : '';
+
+        tbody.innerHTML = spacer(first * rowHeight) +
+            rows.slice(first, last).map(recipe => `
+                <tr data-recipe-id="${recipe.recipe_id}">
+                    ${columns.map(column => this.renderRecipeCell(column.key, recipe)).join('')}
+                </tr>
+            `).join('') +
+            spacer((rows.length - last) * rowHeight);
+
+        // Rows grow with the theme and font size, so measure their average height once per table
+        // update and lay the window out again on the next frame rather than recursing
+        if (this.recipeRowMeasured) return;
+        this.recipeRowMeasured = true;
+        const rendered = Array.from(tbody.querySelectorAll('tr[data-recipe-id]'));
+        const measured = rendered.reduce((sum, row) => sum + row.offsetHeight, 0) / rendered.length;
+        if (measured && Math.abs(measured - rowHeight) > 1) {
+            this.recipeRowHeight = measured;
+            this.recipeRowWindow = null;
+            if (this.recipeScrollFrame) return;
+            this.recipeScrollFrame = requestAnimationFrame(() => {
+                this.recipeScrollFrame = null;
+                this.renderRecipeRows();
+            });
         }
+    }
 
-        tbody.innerHTML = pageRecipes.map(recipe => `
-            <tr data-recipe-id="${recipe.recipe_id}">
-                <td>
-                    <div class="recipe-name">${recipe.name}</div>
-                    <div style="font-size: 12px; color: var(--text-muted);">${recipe.resultName}</div>
-                </td>
-                <td><span class="profession-badge" data-profession="${recipe.profession}">${recipe.profession}</span></td>
-                <td><span class="skill-level">${recipe.skill_level}</span></td>
-                <td>${this.formatCurrency(recipe.materialsCost)}</td>
-                <td>${this.formatCurrency(recipe.resultValue)}</td>
-                <td class="${this.getProfitClass(recipe.profit)}">${this.formatCurrency(recipe.profit)}</td>
-                <td class="${this.getProfitClass(recipe.roi)}">${recipe.roi.toFixed(1)}%</td>
-                <td>
-                    <button class="btn btn-outline btn-sm" onclick="platform.showRecipeDetails(${recipe.recipe_id})">
-                        <i class="fas fa-eye"></i>
-                    </button>
-                    <button class="btn btn-outline btn-sm" onclick="platform.addToPortfolio(${recipe.recipe_id})">
-                        <i class="fas fa-plus"></i>
-                    </button>
-                </td>
-            </tr>
+    renderRecipeCell(column, recipe) {
+        switch (column) {
+            case 'name':
+                return `
+                    <td>
+                        <div class="recipe-name">
+                            ${this.escapeHtml(recipe.name)} ${this.renderDataIssueFlag(recipe.recipe_id)}
+                            ${recipe.cooldown ? `<i class="fas fa-hourglass-half cooldown-flag" title="${recipe.cooldown.name} cooldown: ${recipe.cooldown.hours}h"></i>` : ''}
+                        </div>
+                        <div style="font-size: 12px; color: var(--text-muted);">${this.escapeHtml(recipe.resultName)}</div>
+                    </td>`;
+            case 'profession':
+                return `<td><span class="profession-badge" data-profession="${recipe.profession}">${recipe.profession}</span></td>`;
+            case 'skill_level':
+                return `<td><span class="skill-level">${recipe.skill_level}</span></td>`;
+            case 'materialsCost':
+                return `<td>${this.formatCurrency(recipe.materialsCost)}</td>`;
+            case 'resultValue':
+                return `<td>${this.formatCurrency(recipe.resultValue)}</td>`;
+            case 'resultExit':
+                return `<td><span class="exit-badge ${recipe.resultExit}">${this.getExitLabel(recipe.resultExit)}</span></td>`;
+            case 'profit':
+                return `<td class="${this.getProfitClass(recipe.profit)}">${this.formatCurrency(recipe.profit)}</td>`;
+            case 'roi':
+                return `<td class="${this.getProfitClass(recipe.roi)}">${recipe.roi.toFixed(1)}%</td>`;
+            case 'actions':
+                return `
+                    <td>
+                        <button class="btn btn-outline btn-sm" onclick="platform.showRecipeDetails(${recipe.recipe_id})">
+                            <i class="fas fa-eye"></i>
+                        </button>
+                        <button class="btn btn-outline btn-sm" onclick="platform.addToPortfolio(${recipe.recipe_id})">
+                            <i class="fas fa-plus"></i>
+                        </button>
+                    </td>`;
+            default:
+                return '<td></td>';
+        }
+    }
+
+    renderColumnMenu() {
+        const menu = document.getElementById('columnMenu');
+        if (!menu) return;
+
+        menu.innerHTML = this.recipeColumns.filter(column => !column.locked).map(column => `
+            <label>
+                <input type="checkbox" ${this.hiddenRecipeColumns.has(column.key) ? '' : 'checked'}
+                       onchange="platform.toggleRecipeColumn('${column.key}', this.checked)">
+                ${column.label}
+            </label>
         `).join('');
+    }
 
-        this.updatePagination();
-        this.updateTableInfo();
+    toggleRecipeColumn(column, visible) {
+        if (visible) {
+            this.hiddenRecipeColumns.delete(column);
+        } else {
+            this.hiddenRecipeColumns.add(column);
+        }
+        localStorage.setItem('hiddenRecipeColumns', JSON.stringify([...this.hiddenRecipeColumns]));
+        this.updateRecipesTable();
+    }
+
+    setItemsPerPage(size) {
+        this.itemsPerPage = size;
+        localStorage.setItem('itemsPerPage', JSON.stringify(size));
+        this.currentPage = 1;
+        this.scrollRecipesToTop();
+        this.updateRecipesTable();
+    }
+
+    scrollRecipesToTop() {
+        const wrapper = document.getElementById('recipesTableWrapper');
+        if (wrapper) wrapper.scrollTop = 0;
     }
 
     updatePagination() {
-        const totalPages = Math.ceil(this.filteredRecipes.length / this.itemsPerPage);
+        // With no page size every row sits in one scrolling page
+        const pageSize = this.itemsPerPage || Math.max(this.filteredRecipes.length, 1);
+        const totalPages = Math.ceil(this.filteredRecipes.length / pageSize);
         
         const elements = {
             currentPage: this.currentPage,
             totalPages: totalPages,
-            paginationStart: (this.currentPage - 1) * this.itemsPerPage + 1,
-            paginationEnd: Math.min(this.currentPage * this.itemsPerPage, this.filteredRecipes.length),
+            paginationStart: (this.currentPage - 1) * pageSize + 1,
+            paginationEnd: Math.min(this.currentPage * pageSize, this.filteredRecipes.length),
             paginationTotal: this.filteredRecipes.length
         };
 
@@ -737,6 +3444,9 @@ class CraftingProPlatform {
         
         if (prevBtn) prevBtn.disabled = this.currentPage === 1;
         if (nextBtn) nextBtn.disabled = this.currentPage === totalPages;
+
+        const controls = document.querySelector('#recipes .pagination-controls');
+        if (controls) controls.style.display = this.itemsPerPage ? '' : 'none';
     }
 
     updateTableInfo() {
@@ -747,76 +3457,282 @@ class CraftingProPlatform {
     }
 
     changePage(direction) {
+        if (!this.itemsPerPage) return;
         const totalPages = Math.ceil(this.filteredRecipes.length / this.itemsPerPage);
         const newPage = this.currentPage + direction;
         
         if (newPage >= 1 && newPage <= totalPages) {
             this.currentPage = newPage;
+            this.scrollRecipesToTop();
             this.updateRecipesTable();
         }
     }
 
-    handleSort(field) {
-        if (this.sortBy === field) {
-            this.sortOrder = this.sortOrder === 'asc' ? 'desc' : 'asc';
+    async handleSort(field, additive = false) {
+        const existing = this.sortKeys.find(key => key.field === field);
+        const flip = order => order === 'asc' ? 'desc' : 'asc';
+
+        if (additive) {
+            // Shift-click adds a tie-breaker, or flips one that's already there
+            if (existing) {
+                existing.order = flip(existing.order);
+            } else {
+                this.sortKeys.push({ field, order: 'desc' });
+            }
+        } else if (existing && this.sortKeys.length === 1) {
+            existing.order = flip(existing.order);
         } else {
-            this.sortBy = field;
-            this.sortOrder = 'desc';
+            this.sortKeys = [{ field, order: 'desc' }];
         }
         
-        this.sortRecipes();
-        this.updateTabContent();
         this.updateSortIndicators();
+        if (await this.requestPricing('filter')) this.updateTabContent();
     }
 
     sortRecipes() {
+        // The sort is stable, so rows that tie on every key keep the order the engine produced them in
         this.filteredRecipes.sort((a, b) => {
-            let aVal = a[this.sortBy];
-            let bVal = b[this.sortBy];
-            
-            if (typeof aVal === 'string') {
-                aVal = aVal.toLowerCase();
-                bVal = bVal.toLowerCase();
-            }
-            
-            if (this.sortOrder === 'asc') {
-                return aVal > bVal ? 1 : -1;
-            } else {
-                return aVal < bVal ? 1 : -1;
+            for (const { field, order } of this.sortKeys) {
+                let aVal = a[field];
+                let bVal = b[field];
+
+                if (typeof aVal === 'string') {
+                    aVal = aVal.toLowerCase();
+                    bVal = String(bVal).toLowerCase();
+                }
+                if (aVal === bVal) continue;
+
+                const direction = aVal > bVal ? 1 : -1;
+                return order === 'asc' ? direction : -direction;
             }
+            return 0;
         });
     }
 
     updateSortIndicators() {
-        document.querySelectorAll('.sortable i').forEach(icon => {
-            icon.className = 'fas fa-sort';
+        document.querySelectorAll('#recipesTable .sortable').forEach(header => {
+            const index = this.sortKeys.findIndex(key => key.field === header.dataset.sort);
+            const icon = header.querySelector('i');
+            if (icon) {
+                icon.className = index === -1 ? 'fas fa-sort'
+                    : this.sortKeys[index].order === 'asc' ? 'fas fa-sort-up' : 'fas fa-sort-down';
+            }
+
+            // Number the keys once there's more than one
+            header.querySelector('.sort-priority')?.remove();
+            if (index !== -1 && this.sortKeys.length > 1) {
+                header.insertAdjacentHTML('beforeend', `<span class="sort-priority">${index + 1}</span>`);
+            }
         });
-        
-        const activeHeader = document.querySelector(`[data-sort="${this.sortBy}"] i`);
-        if (activeHeader) {
-            activeHeader.className = this.sortOrder === 'asc' ? 'fas fa-sort-up' : 'fas fa-sort-down';
+    }
+
+    readRecipeFilters() {
+        // Filters are read here on the page; the engine only ever sees this plain copy
+        const input = document.getElementById('recipeQuery');
+        const error = document.getElementById('recipeQueryError');
+        let query = this.recipeFilters.query;
+        try {
+            query = this.parseRecipeQuery(input?.value || '');
+            if (error) error.style.display = 'none';
+            input?.classList.remove('invalid');
+        } catch (parseError) {
+            // Keep filtering by the last query that parsed until this one does
+            if (error) {
+                // The message quotes the user's query, so it goes in as text
+                error.innerHTML = '<i class="fas fa-exclamation-triangle"></i><span></span>';
+                error.querySelector('span').textContent = parseError.message;
+                error.style.display = '';
+            }
+            input?.classList.add('invalid');
         }
+
+        // An empty box means no minimum, so loss-making recipes still show
+        const minProfit = parseFloat(document.getElementById('minProfitFilter')?.value);
+        this.recipeFilters = {
+            profession: document.getElementById('professionFilter')?.value || '',
+            minProfit: isNaN(minProfit) ? null : minProfit,
+            query
+        };
     }
 
-    applyFilters() {
-        const profession = document.getElementById('professionFilter')?.value || '';
-        const minProfit = parseFloat(document.getElementById('minProfitFilter')?.value) || 0;
+    filterRecipes() {
+        const { profession, minProfit, query } = this.recipeFilters;
+        const craftable = this.getCraftableRecipeIds();
 
-        this.processData(); // Reprocess to get fresh data
-        
-        this.filteredRecipes = this.filteredRecipes.filter(recipe => {
+        return this.processedRecipes.filter(recipe => {
+            if (craftable && !craftable.has(recipe.recipe_id)) return false;
             if (profession && recipe.profession !== profession) return false;
-            if (recipe.profit < minProfit) return false;
+            if (minProfit !== null && recipe.profit < minProfit) return false;
+            if (query && !this.matchesRecipeQuery(recipe, query)) return false;
             return true;
         });
+    }
+
+    parseRecipeQuery(text) {
+        // Terms are ANDed; OR (or |) separates alternatives, parentheses group them and - negates.
+        // The result is a plain tree so it can travel to the pricing worker.
+        const tokens = this.tokenizeRecipeQuery(text);
+        if (tokens.length === 0) return null;
+
+        let position = 0;
+        const peek = () => tokens[position];
+        const describe = token => token ? `"${token.text}" at column ${token.at + 1}` : 'the end of the query';
+
+        const parseAny = () => {
+            const items = [parseAll()];
+            while (peek()?.type === 'or') {
+                position++;
+                items.push(parseAll());
+            }
+            return items.length === 1 ? items[0] : { type: 'or', items };
+        };
+        const parseAll = () => {
+            const items = [];
+            while (peek() && peek().type !== 'or' && peek().type !== ')') items.push(parseTerm());
+            if (items.length === 0) throw new Error(`Expected a filter before ${describe(peek())}`);
+            return items.length === 1 ? items[0] : { type: 'and', items };
+        };
+        const parseTerm = () => {
+            const token = tokens[position++];
+            if (token.type === 'not') {
+                if (!peek() || peek().type === 'or' || peek().type === ')') throw new Error(`Nothing to negate after "-" at column ${token.at + 1}`);
+                return { type: 'not', item: parseTerm() };
+            }
+            if (token.type === '(') {
+                const group = parseAny();
+                if (peek()?.type !== ')') throw new Error(`Missing ")" for the group opened at column ${token.at + 1}`);
+                position++;
+                return group;
+            }
+            if (token.type === 'text') return { type: 'text', value: token.value.toLowerCase() };
+            return this.compileQueryComparison(token);
+        };
+
+        const tree = parseAny();
+        if (position < tokens.length) throw new Error(`Unexpected ${describe(peek())}`);
+        return tree;
+    }
+
+    tokenizeRecipeQuery(text) {
+        const tokens = [];
+        let index = 0;
+
+        // A quoted string or a run of characters up to whitespace, a parenthesis or |
+        const readValue = () => {
+            if (text[index] === '"') {
+                const end = text.indexOf('"', index + 1);
+                if (end === -1) throw new Error(`Unclosed quote at column ${index + 1}`);
+                const value = text.slice(index + 1, end);
+                index = end + 1;
+                return { value, quoted: true };
+            }
+            const value = text.slice(index).match(/^[^\s()|"]*/)[0];
+            index += value.length;
+            return { value, quoted: false };
+        };
+
+        while (index < text.length) {
+            const at = index;
+            const char = text[index];
+            if (/\s/.test(char)) {
+                index++;
+            } else if (char === '(' || char === ')') {
+                tokens.push({ type: char, text: char, at });
+                index++;
+            } else if (char === '|') {
+                tokens.push({ type: 'or', text: char, at });
+                index++;
+            } else if (char === '-') {
+                tokens.push({ type: 'not', text: char, at });
+                index++;
+            } else {
+                const comparison = text.slice(index).match(/^([a-z_]+)(!=|>=|<=|:|=|>|<)/i);
+                if (comparison) {
+                    index += comparison[0].length;
+                    const { value } = readValue();
+                    if (value === '') throw new Error(`Missing a value after "${comparison[0]}" at column ${at + 1}`);
+                    tokens.push({ type: 'compare', field: comparison[1].toLowerCase(), op: comparison[2], value, text: text.slice(at, index), at });
+                } else {
+                    const { value, quoted } = readValue();
+                    if (!quoted && value.toUpperCase() === 'OR') {
+                        tokens.push({ type: 'or', text: value, at });
+                    } else {
+                        tokens.push({ type: 'text', value, text: text.slice(at, index), at });
+                    }
+                }
+            }
+        }
+        return tokens;
+    }
+
+    compileQueryComparison({ field, op, value, text }) {
+        const definition = this.recipeQueryFields[field];
+        if (!definition) {
+            throw new Error(`Unknown field "${field}". Try ${Object.keys(this.recipeQueryFields).join(', ')}`);
+        }
+
+        if (definition.kind === 'text') {
+            if (![':', '=', '!='].includes(op)) throw new Error(`"${text}": ${field} only supports :, = and !=`);
+            return { type: 'compare', field, op, value: value.toLowerCase() };
+        }
+
+        // parseMoney only reads amounts, so the sign of a loss like profit<-1g is handled here
+        const money = (amount) => amount.startsWith('-') ? -this.parseMoney(amount.slice(1)) : this.parseMoney(amount);
+        const number = definition.kind === 'money' ? money(value) : parseFloat(value);
+        if (!Number.isFinite(number) || (definition.kind === 'number' && !/^-?\d+(\.\d+)?%?$/.test(value))) {
+            throw new Error(`"${text}": ${value} isn't ${definition.kind === 'money' ? 'an amount like 5g, 20s or 1g50s' : 'a number'}`);
+        }
+        return { type: 'compare', field, op, value: number };
+    }
+
+    matchesRecipeQuery(recipe, node) {
+        switch (node.type) {
+            case 'or':
+                return node.items.some(item => this.matchesRecipeQuery(recipe, item));
+            case 'and':
+                return node.items.every(item => this.matchesRecipeQuery(recipe, item));
+            case 'not':
+                return !this.matchesRecipeQuery(recipe, node.item);
+            case 'text':
+                // Bare words search recipe and result names
+                return [recipe.name, recipe.resultName].some(name => name?.toLowerCase().includes(node.value));
+            case 'compare':
+                break;
+            default:
+                return true;
+        }
+
+        const definition = this.recipeQueryFields[node.field];
+        if (definition.kind === 'text') {
+            const values = definition.values(recipe).map(value => String(value ?? '').toLowerCase());
+            if (node.op === ':') return values.some(value => value.includes(node.value));
+            if (node.op === '=') return values.some(value => value === node.value);
+            return values.every(value => value !== node.value);
+        }
+
+        const value = definition.value(recipe);
+        switch (node.op) {
+            case '>': return value > node.value;
+            case '>=': return value >= node.value;
+            case '<': return value < node.value;
+            case '<=': return value <= node.value;
+            case '!=': return value !== node.value;
+            default: return value === node.value;
+        }
+    }
+
+    async applyFilters() {
+        // Costs don't depend on the filters, so only the cheap filter/sort step reruns
+        this.readRecipeFilters();
+        if (!await this.requestPricing('filter')) return;
 
-        this.sortRecipes();
         this.currentPage = 1; // Reset to first page
+        this.scrollRecipesToTop();
         this.updateTabContent();
         this.updateSidebarStats();
     }
 
-    resetFilters() {
+    async resetFilters() {
         const professionFilter = document.getElementById('professionFilter');
         const minProfitFilter = document.getElementById('minProfitFilter');
         const sortBy = document.getElementById('sortBy');
@@ -824,16 +3740,91 @@ class CraftingProPlatform {
         if (professionFilter) professionFilter.value = '';
         if (minProfitFilter) minProfitFilter.value = '';
         if (sortBy) sortBy.value = 'profit';
+        const recipeQuery = document.getElementById('recipeQuery');
+        const savedFilters = document.getElementById('savedFilters');
+        if (recipeQuery) recipeQuery.value = '';
+        if (savedFilters) savedFilters.value = '';
         
-        this.sortBy = 'profit';
-        this.sortOrder = 'desc';
+        this.sortKeys = [{ field: 'profit', order: 'desc' }];
+        this.updateSortIndicators();
         this.currentPage = 1;
+        this.scrollRecipesToTop();
         
-        this.processData();
+        this.readRecipeFilters();
+        if (!await this.requestPricing('filter')) return;
         this.updateTabContent();
         this.updateSidebarStats();
     }
 
+    populateSavedFilters() {
+        const select = document.getElementById('savedFilters');
+        if (!select) return;
+
+        const selected = select.value;
+        select.innerHTML = '<option value="">Saved filters</option>';
+        // Names and queries are user text, so options are built rather than written as HTML
+        this.savedFilters.forEach(filter => {
+            const option = new Option(filter.name, filter.name);
+            option.title = filter.query;
+            select.add(option);
+        });
+        if (this.savedFilters.some(filter => filter.name === selected)) select.value = selected;
+    }
+
+    saveRecipeFilter() {
+        const name = document.getElementById('filterName')?.value.trim() || document.getElementById('savedFilters')?.value;
+        const query = document.getElementById('recipeQuery')?.value.trim() || '';
+        if (!name) {
+            this.showError('Please enter a name for the filter');
+            return;
+        }
+        if (!query) {
+            this.showError('Please enter a query to save');
+            return;
+        }
+        try {
+            this.parseRecipeQuery(query);
+        } catch (error) {
+            this.showError(`Can't save an invalid query: ${this.escapeHtml(error.message)}`);
+            return;
+        }
+
+        // Saving under an existing name replaces that filter
+        this.savedFilters = [...this.savedFilters.filter(filter => filter.name !== name), { name, query }]
+            .sort((a, b) => a.name.localeCompare(b.name));
+        localStorage.setItem('savedRecipeFilters', JSON.stringify(this.savedFilters));
+
+        const filterName = document.getElementById('filterName');
+        if (filterName) filterName.value = '';
+        this.populateSavedFilters();
+        document.getElementById('savedFilters').value = name;
+        this.showSuccess(`Saved filter "${this.escapeHtml(name)}"`);
+    }
+
+    loadSavedFilter(name) {
+        const filter = this.savedFilters.find(entry => entry.name === name);
+        if (!filter) return;
+
+        const recipeQuery = document.getElementById('recipeQuery');
+        if (recipeQuery) recipeQuery.value = filter.query;
+        this.applyFilters();
+    }
+
+    deleteSavedFilter() {
+        const select = document.getElementById('savedFilters');
+        const name = select?.value;
+        if (!name) {
+            this.showError('Choose a saved filter to delete');
+            return;
+        }
+
+        this.savedFilters = this.savedFilters.filter(filter => filter.name !== name);
+        localStorage.setItem('savedRecipeFilters', JSON.stringify(this.savedFilters));
+        select.value = '';
+        this.populateSavedFilters();
+        this.showSuccess(`Deleted filter "${this.escapeHtml(name)}"`);
+    }
+
     updateMaterialsTable() {
         const materials = new Map();
         
@@ -852,7 +3843,7 @@ class CraftingProPlatform {
                         quantity: auctionInfo?.quantity || 0,
                         usedInRecipes: [],
                         demand: 0,
-                        trend: this.simulateTrend()
+                        trend: this.getItemTrend(material.itemId)
                     });
                 }
                 
@@ -871,10 +3862,20 @@ class CraftingProPlatform {
         const totalMaterials = document.getElementById('totalMaterials');
         if (totalMaterials) totalMaterials.textContent = sortedMaterials.length;
 
+        const trended = sortedMaterials.filter(material => material.trend.hasHistory);
+        const avgPriceChange = document.getElementById('avgPriceChange');
+        if (avgPriceChange) {
+            const avgChange = trended.length > 0 ?
+                trended.reduce((sum, material) => sum + material.trend.change, 0) / trended.length : 0;
+            avgPriceChange.textContent = trended.length > 0 ?
+                `${avgChange > 0 ? '+' : ''}${avgChange.toFixed(1)}%` : 'No history';
+            avgPriceChange.className = `value ${this.getProfitClass(avgChange).replace('profit-', '')}`;
+        }
+
         tbody.innerHTML = sortedMaterials.map(material => `
             <tr>
                 <td>
-                    <div class="recipe-name">${material.name}</div>
+                    <div class="recipe-name">${this.escapeHtml(material.name)}</div>
                     <div style="font-size: 12px; color: var(--text-muted);">ID: ${material.itemId}</div>
                 </td>
                 <td>${this.formatCurrency(material.marketValue)}</td>
@@ -886,9 +3887,12 @@ class CraftingProPlatform {
                 </td>
                 <td class="${material.trend.direction === 'up' ? 'positive' : material.trend.direction === 'down' ? 'negative' : 'neutral'}">
                     <i class="fas fa-arrow-${material.trend.direction === 'up' ? 'up' : material.trend.direction === 'down' ? 'down' : 'right'}"></i>
-                    ${material.trend.change > 0 ? '+' : ''}${material.trend.change}%
+                    ${this.formatTrendChange(material.trend)}
                 </td>
                 <td>
+                    <button class="btn btn-outline btn-sm" onclick="platform.showItemDetails(${material.itemId})">
+                        <i class="fas fa-eye"></i>
+                    </button>
                     <button class="btn btn-outline btn-sm" onclick="platform.createMaterialAlert(${material.itemId})">
                         <i class="fas fa-bell"></i>
                     </button>
@@ -897,44 +3901,285 @@ class CraftingProPlatform {
         `).join('');
     }
 
-    updateTrends() {
-        const trendingUp = this.filteredRecipes
-            .filter(r => r.trend.direction === 'up')
-            .sort((a, b) => b.trend.change - a.trend.change)
-            .slice(0, 10);
+    analyzeTrends(timeframe = this.trendTimeframe, profession = this.trendProfession) {
+        const baseline = this.getHistoryBaseline(timeframe);
+        if (!baseline) return null;
+
+        const recipes = this.filteredRecipes.filter(r => !profession || r.profession === profession);
+        const current = this.getCachedRecipeValues(recipes);
+        const previous = this.getCachedRecipeValues(recipes, baseline);
+
+        return recipes.map(recipe => {
+            const now = current.get(recipe.recipe_id);
+            const then = previous.get(recipe.recipe_id);
+            // Profit can sit near zero, so measure its change against the cost of the craft
+            const profitBase = Math.max(Math.abs(then.profit), then.materialsCost);
+            const profitDelta = now.profit - then.profit;
+            const profitChange = profitBase > 0 ?
+                parseFloat(((profitDelta / profitBase) * 100).toFixed(1)) : 0;
+
+            return {
+                recipe,
+                profitDelta,
+                profitChange,
+                direction: this.classifyTrend(profitChange),
+                materialsCostChange: this.percentChange(now.materialsCost, then.materialsCost),
+                resultPriceChange: this.percentChange(now.resultPrice, then.resultPrice)
+            };
+        });
+    }
 
-        const trendingDown = this.filteredRecipes
-            .filter(r => r.trend.direction === 'down')
-            .sort((a, b) => a.trend.change - b.trend.change)
-            .slice(0, 10);
+    updateTrends() {
+        const analysis = this.analyzeTrends();
 
-        const stableMarkets = this.filteredRecipes
-            .filter(r => r.trend.direction === 'stable')
-            .sort((a, b) => b.profit - a.profit)
-            .slice(0, 10);
+        if (!analysis) {
+            const message = '<div class="no-data">Not enough price history for this timeframe yet</div>';
+            ['trendingUp', 'trendingDown', 'stableMarkets'].forEach(id => {
+                const container = document.getElementById(id);
+                if (container) container.innerHTML = message;
+            });
+        } else {
+            const trendingUp = analysis
+                .filter(t => t.direction === 'up')
+                .sort((a, b) => b.profitDelta - a.profitDelta)
+                .slice(0, 10);
+
+            const trendingDown = analysis
+                .filter(t => t.direction === 'down')
+                .sort((a, b) => a.profitDelta - b.profitDelta)
+                .slice(0, 10);
+
+            const stableMarkets = analysis
+                .filter(t => t.direction === 'stable')
+                .sort((a, b) => b.recipe.profit - a.recipe.profit)
+                .slice(0, 10);
+
+            this.renderTrendList('trendingUp', trendingUp);
+            this.renderTrendList('trendingDown', trendingDown);
+            this.renderTrendList('stableMarkets', stableMarkets);
+        }
 
-        this.renderTrendList('trendingUp', trendingUp);
-        this.renderTrendList('trendingDown', trendingDown);
-        this.renderTrendList('stableMarkets', stableMarkets);
+        const summary = document.getElementById('trendChartSummary');
+        if (summary) {
+            const timeframeLabel = document.querySelector(`#trendTimeframe option[value="${this.trendTimeframe}"]`)?.textContent || this.trendTimeframe;
+            summary.textContent = `${this.trendProfession || 'All Professions'} · ${timeframeLabel}`;
+        }
+        this.createSimpleTrendChart('profitTrendsChart', this.trendTimeframe, this.trendProfession);
     }
 
     renderTrendList(containerId, items) {
         const container = document.getElementById(containerId);
         if (!container) return;
 
+        if (items.length === 0) {
+            container.innerHTML = '<div class="no-data">No recipes in this group</div>';
+            return;
+        }
+
+        const formatChange = (change) => `${change > 0 ? '+' : ''}${change}%`;
+
         container.innerHTML = items.map(item => `
             <div class="trend-item">
                 <div class="trend-info">
-                    <div class="trend-name">${item.name}</div>
-                    <div class="trend-profession">${item.profession}</div>
+                    <div class="trend-name">${this.escapeHtml(item.recipe.name)}</div>
+                    <div class="trend-profession">${item.recipe.profession}</div>
+                    <div class="trend-meta">
+                        Mats ${formatChange(item.materialsCostChange)} · Price ${formatChange(item.resultPriceChange)}
+                    </div>
                 </div>
                 <div class="trend-value">
-                    ${this.formatCurrency(item.profit)}
+                    <div>${this.formatCurrency(item.recipe.profit)}</div>
+                    <div class="trend-meta ${this.getProfitClass(item.profitDelta)}">
+                        ${item.profitDelta > 0 ? '+' : ''}${this.formatCurrency(item.profitDelta)} (${formatChange(item.profitChange)})
+                    </div>
                 </div>
             </div>
         `).join('');
     }
 
+    async updateArbitrage() {
+        const container = document.getElementById('arbitrageResults');
+        if (!container) return;
+
+        if (this.priceDatasets.length < 2) {
+            container.innerHTML = `
+                <div class="results-placeholder">
+                    <i class="fas fa-exchange-alt"></i>
+                    <h3>Add a second market to compare</h3>
+                    <p>Register realm or faction price files with Manage Markets</p>
+                </div>
+            `;
+            return;
+        }
+
+        container.innerHTML = '<div class="no-data">Loading markets...</div>';
+        const results = await Promise.allSettled(this.priceDatasets.map(dataset => this.loadDataset(dataset.id)));
+        const loaded = this.priceDatasets.filter((dataset, index) => results[index].status === 'fulfilled');
+        const failed = this.priceDatasets.filter((dataset, index) => results[index].status === 'rejected');
+        const { recipes, items } = this.computeArbitrage(loaded.map(dataset => dataset.id));
+
+        container.innerHTML = `
+            ${failed.length > 0 ? `
+                <div class="calc-warning">
+                    <i class="fas fa-exclamation-triangle"></i>
+                    <div><strong>Skipped markets that failed to load:</strong> ${failed.map(dataset => this.escapeHtml(dataset.name)).join(', ')}</div>
+                </div>
+            ` : ''}
+
+            <div class="chart-container">
+                <div class="chart-header">
+                    <h3>Recipes: Buy Materials Here, Sell There</h3>
+                    <span class="mover-hint">Only where it beats crafting and selling within one market</span>
+                </div>
+                ${recipes.length === 0 ? '<div class="no-data">No cross-market recipe opportunities</div>' : `
+                    <table class="advanced-table">
+                        <thead>
+                            <tr>
+                                <th>Recipe</th>
+                                <th>Buy Materials In</th>
+                                <th>Sell In</th>
+                                <th>Profit</th>
+                                <th>Best Single Market</th>
+                                <th>Advantage</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${recipes.map(row => `
+                                <tr>
+                                    <td>
+                                        <a href="#" onclick="platform.showRecipeDetails(${row.recipe.recipe_id}); return false;">${this.escapeHtml(row.recipe.name)}</a>
+                                    </td>
+                                    <td>${this.escapeHtml(this.getDatasetName(row.buyMarket))}</td>
+                                    <td>${this.escapeHtml(this.getDatasetName(row.sellMarket))}</td>
+                                    <td class="${this.getProfitClass(row.profit)}">${this.formatCurrency(row.profit)}</td>
+                                    <td>${row.singleMarket ? `${this.formatCurrency(row.singleProfit)} (${this.escapeHtml(this.getDatasetName(row.singleMarket))})` : 'Not craftable'}</td>
+                                    <td class="profit-positive">${this.formatCurrency(row.advantage)}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                `}
+            </div>
+
+            <div class="chart-container">
+                <div class="chart-header">
+                    <h3>Items: Buy Here, Resell There</h3>
+                </div>
+                ${items.length === 0 ? '<div class="no-data">No cross-market item spreads after fees</div>' : `
+                    <table class="advanced-table">
+                        <thead>
+                            <tr>
+                                <th>Item</th>
+                                <th>Buy In</th>
+                                <th>Buy Price</th>
+                                <th>Sell In</th>
+                                <th>Sell Price</th>
+                                <th>Profit After Fees</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${items.map(row => `
+                                <tr>
+                                    <td>${this.escapeHtml(row.name)}</td>
+                                    <td>${this.escapeHtml(this.getDatasetName(row.buyMarket))}</td>
+                                    <td>${this.formatCurrency(row.buyPrice)}</td>
+                                    <td>${this.escapeHtml(this.getDatasetName(row.sellMarket))}</td>
+                                    <td>${this.formatCurrency(row.sellPrice)}</td>
+                                    <td class="profit-positive">${this.formatCurrency(row.profit)}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                `}
+            </div>
+        `;
+    }
+
+    computeArbitrage(datasetIds, limit = 50) {
+        const itemIds = new Set();
+        datasetIds.forEach(id => Object.keys(this.marketData[id]).forEach(itemId => itemIds.add(parseInt(itemId))));
+
+        // Items a market doesn't list are priced at 0 there instead of borrowing the active market's price
+        const snapshots = {};
+        datasetIds.forEach(id => {
+            const snapshot = this.createPriceSnapshot(Object.values(this.marketData[id]));
+            itemIds.forEach(itemId => {
+                if (!snapshot.prices[itemId]) snapshot.prices[itemId] = [0, 0, 0, 0];
+            });
+            snapshots[id] = snapshot;
+        });
+
+        const values = {};
+        datasetIds.forEach(id => {
+            values[id] = this.valueRecipesAt(this.filteredRecipes, snapshots[id]);
+        });
+
+        const recipes = [];
+        this.filteredRecipes.forEach(recipe => {
+            let single = null;
+            let cross = null;
+
+            datasetIds.forEach(buyMarket => {
+                const bought = values[buyMarket].get(recipe.recipe_id);
+                if (!bought.priced) return;
+
+                datasetIds.forEach(sellMarket => {
+                    const sold = values[sellMarket].get(recipe.recipe_id);
+                    if (sold.resultPrice === 0) return;
+
+                    const profit = sold.resultValue - sold.fees.total - bought.materialsCost;
+                    if (buyMarket === sellMarket) {
+                        if (!single || profit > single.profit) single = { market: buyMarket, profit };
+                    } else if (!cross || profit > cross.profit) {
+                        cross = { buyMarket, sellMarket, profit };
+                    }
+                });
+            });
+
+            if (cross && cross.profit > 0 && (!single || cross.profit > single.profit)) {
+                recipes.push({
+                    recipe,
+                    ...cross,
+                    singleMarket: single?.market || null,
+                    singleProfit: single?.profit ?? 0,
+                    advantage: cross.profit - Math.max(single?.profit ?? 0, 0)
+                });
+            }
+        });
+
+        const items = [];
+        itemIds.forEach(itemId => {
+            let best = null;
+
+            datasetIds.forEach(buyMarket => {
+                const entry = snapshots[buyMarket].prices[itemId];
+                const buyPrice = this.getSnapshotPrice(snapshots[buyMarket], itemId);
+                if (entry[2] === 0 || buyPrice === 0) return;
+
+                datasetIds.forEach(sellMarket => {
+                    if (sellMarket === buyMarket) return;
+                    const sellPrice = this.getSnapshotPrice(snapshots[sellMarket], itemId, 'result');
+                    if (sellPrice === 0) return;
+
+                    const profit = sellPrice - this.getAuctionFees(itemId, sellPrice).total - buyPrice;
+                    if (profit > 0 && (!best || profit > best.profit)) {
+                        best = { itemId, buyMarket, sellMarket, buyPrice, sellPrice, profit };
+                    }
+                });
+            });
+
+            if (best) {
+                const name = datasetIds.map(id => this.marketData[id][itemId]?.itemName).find(Boolean);
+                items.push({ ...best, name: name || `Item ${itemId}` });
+            }
+        });
+
+        return {
+            recipes: recipes.sort((a, b) => b.advantage - a.advantage).slice(0, limit),
+            items: items.sort((a, b) => b.profit - a.profit).slice(0, limit)
+        };
+    }
+
     updateCalculator() {
         this.updateCalculatorRecipes();
     }
@@ -960,27 +4205,43 @@ class CraftingProPlatform {
         const recipeId = parseInt(document.getElementById('calcRecipe')?.value);
         const quantity = parseInt(document.getElementById('calcQuantity')?.value) || 1;
         const batchSize = parseInt(document.getElementById('batchSize')?.value) || 1;
-        const ahCut = parseFloat(document.getElementById('ahCut')?.value) || 5;
+        const materialCosting = document.getElementById('materialCosting')?.value || 'depth';
         
         if (!recipeId) {
             this.showError('Please select a recipe');
             return;
         }
 
-        const recipe = this.filteredRecipes.find(r => r.recipe_id === recipeId);
+        const recipe = this.findRecipe(recipeId);
         if (!recipe) {
             this.showError('Recipe not found');
             return;
         }
 
         const totalQuantity = quantity * batchSize;
-        const totalMaterialsCost = recipe.materialsCost * totalQuantity;
+        const materialLines = recipe.materialDetails.map(material => {
+            const units = material.quantity * totalQuantity;
+            // Crafted, vendor and custom-priced materials keep their per-unit cost
+            if (materialCosting !== 'depth' || material.costSource !== 'market') {
+                return { ...material, units, lineCost: material.totalCost * totalQuantity, fill: null };
+            }
+            const fill = this.getMaterialDepthCost(material.itemId, units);
+            return { ...material, units, lineCost: fill.totalCost, fill };
+        });
+        const shortfalls = materialLines.filter(line => line.fill && line.fill.shortfall > 0);
+        const totalMaterialsCost = materialLines.reduce((sum, line) => sum + line.lineCost, 0);
         const grossResultValue = recipe.resultValue * totalQuantity;
-        const ahFee = grossResultValue * (ahCut / 100);
-        const netResultValue = grossResultValue - ahFee;
+        const outputUnits = totalQuantity * recipe.expectedQuantity;
+        const fees = this.getSaleFees(recipe, recipe.resultValue / recipe.expectedQuantity, outputUnits);
+        const netResultValue = grossResultValue - fees.total;
         const totalProfit = netResultValue - totalMaterialsCost;
         const roi = totalMaterialsCost > 0 ? ((totalProfit / totalMaterialsCost) * 100) : 0;
 
+        // Only what the market absorbs within the sell window turns into revenue
+        const sellWindow = parseInt(document.getElementById('sellWindow')?.value) || this.sellWindowDays;
+        const outlook = this.getSellThroughOutlook(recipe, totalQuantity, sellWindow);
+        const realisticProfit = outlook.netSoldValue - totalMaterialsCost;
+
         const resultsDiv = document.getElementById('calcResults');
         if (!resultsDiv) return;
 
@@ -988,15 +4249,34 @@ class CraftingProPlatform {
             <div class="calc-results-header">
                 <h3><i class="fas fa-calculator"></i> Calculation Results</h3>
                 <div class="recipe-info">
-                    <strong>${recipe.name}</strong> - ${recipe.profession}
+                    <strong>${this.escapeHtml(recipe.name)}</strong> - ${recipe.profession}
                 </div>
             </div>
             
+            ${shortfalls.length > 0 ? `
+                <div class="calc-warning">
+                    <i class="fas fa-exclamation-triangle"></i>
+                    <div>
+                        <strong>Not enough listings to fill this order</strong>
+                        ${shortfalls.map(line => `
+                            <div>${this.escapeHtml(line.name)}: need ${line.units}, ${line.fill.listed} listed.
+                                ${line.fill.shortfall} priced at ${this.formatCurrency(line.fill.fallbackPrice)} each.</div>
+                        `).join('')}
+                    </div>
+                </div>
+            ` : ''}
+
             <div class="calc-summary">
                 <div class="summary-row">
                     <span>Total Quantity:</span>
                     <span>${totalQuantity} items (${quantity} × ${batchSize})</span>
                 </div>
+                ${recipe.expectedQuantity !== recipe.result_quantity ? `
+                    <div class="summary-row">
+                        <span>Expected Output:</span>
+                        <span>${this.formatQuantity(outputUnits)} items (base ${totalQuantity * recipe.result_quantity})</span>
+                    </div>
+                ` : ''}
                 <div class="summary-row">
                     <span>Materials Cost:</span>
                     <span>${this.formatCurrency(totalMaterialsCost)}</span>
@@ -1006,9 +4286,15 @@ class CraftingProPlatform {
                     <span>${this.formatCurrency(grossResultValue)}</span>
                 </div>
                 <div class="summary-row">
-                    <span>AH Fee (${ahCut}%):</span>
-                    <span class="negative">-${this.formatCurrency(ahFee)}</span>
+                    <span>AH Cut (${this.feeSettings.cutPercent}%):</span>
+                    <span class="negative">-${this.formatCurrency(fees.cut)}</span>
                 </div>
+                ${fees.deposit > 0 ? `
+                    <div class="summary-row">
+                        <span>Lost Deposits (${Math.round(this.feeSettings.relistRate * 100)}% relisted):</span>
+                        <span class="negative">-${this.formatCurrency(fees.deposit)}</span>
+                    </div>
+                ` : ''}
                 <div class="summary-row">
                     <span>Net Value:</span>
                     <span>${this.formatCurrency(netResultValue)}</span>
@@ -1021,36 +4307,680 @@ class CraftingProPlatform {
                     <span>ROI:</span>
                     <span class="${this.getProfitClass(roi)}">${roi.toFixed(1)}%</span>
                 </div>
+                <div class="summary-row">
+                    <span>Expected Sales:</span>
+                    <span>${outlook.unitsPerDay}/day${recipe.sellThroughSource === 'history' ? '' : ' (estimate, no sales history)'}</span>
+                </div>
+                <div class="summary-row">
+                    <span>Time to Sell ${outlook.units} Items:</span>
+                    <span>${this.formatDaysToSell(outlook.daysToSell)}</span>
+                </div>
+                <div class="summary-row total ${this.getProfitClass(realisticProfit)}">
+                    <span><strong>Realistic Profit (${outlook.soldUnits.toFixed(0)} sold in ${sellWindow} days):</strong></span>
+                    <span><strong>${this.formatCurrency(realisticProfit)}</strong></span>
+                </div>
             </div>
             
             <div class="material-breakdown">
                 <h4>Material Breakdown (per ${totalQuantity} items):</h4>
                 <div class="materials-list">
-                    ${recipe.materialDetails.map(material => `
+                    ${materialLines.map(material => `
                         <div class="material-row">
-                            <span>${material.name}</span>
-                            <span>${material.quantity * totalQuantity}x</span>
-                            <span>${this.formatCurrency(material.totalCost * totalQuantity)}</span>
+                            <span>${this.escapeHtml(material.name)}</span>
+                            <span>${material.units}x</span>
+                            <span>${this.formatCurrency(material.lineCost)}</span>
+                            ${material.fill ? `
+                                <span class="material-stock">avg ${this.formatCurrency(material.fill.averagePrice)} each${material.fill.shortfall > 0 ? ' · short' : ''}</span>
+                            ` : ''}
+                            ${this.renderRecipeAlternatives(material.craftingAlternatives, material.craftingRecipeId)}
                         </div>
                     `).join('')}
                 </div>
             </div>
+
+            ${this.renderOtherProducers(recipe)}
             
             <div class="calc-actions">
                 <button class="btn btn-outline" onclick="platform.addCalculationToPortfolio(${recipeId}, ${totalQuantity})">
                     <i class="fas fa-plus"></i> Add to Portfolio
                 </button>
-                <button class="btn btn-primary" onclick="platform.createProfitAlert(${recipeId}, ${totalProfit})">
+                <button class="btn btn-primary" onclick="platform.createProfitAlert(${recipeId})">
                     <i class="fas fa-bell"></i> Create Alert
                 </button>
             </div>
         `;
-        
-        resultsDiv.classList.add('show');
+        
+        resultsDiv.classList.add('show');
+    }
+
+    getPriceLadder(itemId) {
+        // Cheapest-first list of { price, quantity } steps that can be bought right now.
+        // Price files may carry an optional per-listing `listings: [{ price, quantity }]` array
+        // (price per unit in copper); otherwise the ladder is estimated from the summary fields.
+        const auctionInfo = this.auctionData[itemId];
+        if (!auctionInfo) return [];
+
+        if (Array.isArray(auctionInfo.listings) && auctionInfo.listings.length > 0) {
+            return this.applyStrategyToLadder(itemId, auctionInfo.listings
+                .filter(listing => listing.price > 0 && listing.quantity > 0)
+                .map(listing => ({ price: listing.price, quantity: listing.quantity }))
+                .sort((a, b) => a.price - b.price));
+        }
+
+        if (!auctionInfo.quantity || !auctionInfo.minBuyout) return [];
+
+        // Only the cheapest stack is known to sell at minBuyout; spread the remaining stock
+        // evenly over the other auctions with prices rising towards the market value
+        const auctions = Math.max(auctionInfo.numAuctions, 1);
+        const ceiling = Math.max(auctionInfo.minBuyout, auctionInfo.marketValue);
+        const firstStack = Math.min(auctionInfo.quantity, Math.max(1, Math.round(auctionInfo.quantity / auctions)));
+        const ladder = [{ price: auctionInfo.minBuyout, quantity: firstStack }];
+
+        const remaining = auctionInfo.quantity - firstStack;
+        const steps = Math.min(Math.max(auctions - 1, 1), remaining);
+        for (let i = 1; i <= steps; i++) {
+            const quantity = Math.floor(remaining * i / steps) - Math.floor(remaining * (i - 1) / steps);
+            if (quantity > 0) {
+                ladder.push({
+                    price: auctionInfo.minBuyout + (ceiling - auctionInfo.minBuyout) * (i / steps),
+                    quantity
+                });
+            }
+        }
+
+        return this.applyStrategyToLadder(itemId, ladder);
+    }
+
+    applyStrategyToLadder(itemId, ladder) {
+        // The material strategy decides what the cheapest listing costs, as it does in the recipes table;
+        // deeper listings keep their markup over it, so one unit costs the same in both places
+        const basePrice = ladder[0]?.price;
+        const strategyPrice = this.getMarketPrice(itemId);
+        if (!basePrice || !strategyPrice || strategyPrice === basePrice) return ladder;
+
+        const scale = strategyPrice / basePrice;
+        return ladder.map(step => ({ price: step.price * scale, quantity: step.quantity }));
+    }
+
+    getMaterialDepthCost(itemId, units) {
+        const ladder = this.getPriceLadder(itemId);
+        let remaining = units;
+        let totalCost = 0;
+
+        for (const step of ladder) {
+            if (remaining <= 0) break;
+            const bought = Math.min(remaining, step.quantity);
+            totalCost += bought * step.price;
+            remaining -= bought;
+        }
+
+        // Anything beyond the listed stock is assumed to cost the market value
+        const auctionInfo = this.auctionData[itemId];
+        const fallbackPrice = Math.max(auctionInfo?.marketValue || 0, ladder[ladder.length - 1]?.price || 0);
+        totalCost += remaining * fallbackPrice;
+
+        return {
+            units,
+            totalCost,
+            averagePrice: units > 0 ? totalCost / units : 0,
+            listed: ladder.reduce((sum, step) => sum + step.quantity, 0),
+            shortfall: remaining,
+            fallbackPrice
+        };
+    }
+
+    getSkillUpChance(recipe, skill) {
+        // Orange until 25 points past the learn level, then fading linearly to grey at +75
+        const yellowAt = recipe.skill_level + 25;
+        const greyAt = recipe.skill_level + 75;
+        if (skill < recipe.skill_level || skill >= greyAt) return 0;
+        if (skill < yellowAt) return 1;
+        return (greyAt - skill) / (greyAt - yellowAt);
+    }
+
+    planLeveling(profession, startSkill, targetSkill) {
+        // Only recipes whose every material has a price can be planned
+        const candidates = this.processedRecipes
+            .filter(recipe => recipe.profession === profession)
+            .filter(recipe => recipe.materialDetails.every(material => material.unitCost > 0))
+            .map(recipe => ({
+                recipe,
+                // What one craft costs after selling the result
+                netCost: recipe.materialsCost - (recipe.resultValue - recipe.fees.total)
+            }));
+
+        const steps = [];
+        let blockedAt = null;
+
+        for (let skill = startSkill; skill < targetSkill; skill++) {
+            let best = null;
+            candidates.forEach(candidate => {
+                const chance = this.getSkillUpChance(candidate.recipe, skill);
+                if (chance < this.levelingMinChance) return;
+                const costPerPoint = candidate.netCost / chance;
+                // Dividing a profit by a small chance would favour rare skill-ups, so every profitable
+                // craft ranks as free and the likeliest skill-up among them wins
+                const rankCost = Math.max(0, candidate.netCost) / chance;
+                if (!best || rankCost < best.rankCost || (rankCost === best.rankCost && chance > best.chance)) {
+                    best = { ...candidate, chance, costPerPoint, rankCost };
+                }
+            });
+
+            if (!best) {
+                blockedAt = skill;
+                break;
+            }
+
+            const lastStep = steps[steps.length - 1];
+            if (lastStep && lastStep.recipe.recipe_id === best.recipe.recipe_id) {
+                lastStep.toSkill = skill + 1;
+                lastStep.crafts += 1 / best.chance;
+                lastStep.cost += best.costPerPoint;
+            } else {
+                steps.push({
+                    recipe: best.recipe,
+                    fromSkill: skill,
+                    toSkill: skill + 1,
+                    crafts: 1 / best.chance,
+                    cost: best.costPerPoint
+                });
+            }
+        }
+
+        // Buy for whole crafts, so the shopping list rounds each step up
+        const shopping = new Map();
+        steps.forEach(step => {
+            const crafts = Math.ceil(step.crafts);
+            step.recipe.materialDetails.forEach(material => {
+                const line = shopping.get(material.itemId) || {
+                    itemId: material.itemId,
+                    name: material.name,
+                    costSource: material.costSource,
+                    unitCost: material.unitCost,
+                    quantity: 0
+                };
+                line.quantity += material.quantity * crafts;
+                shopping.set(material.itemId, line);
+            });
+        });
+        const shoppingList = [...shopping.values()]
+            .map(line => ({ ...line, totalCost: line.unitCost * line.quantity }))
+            .sort((a, b) => b.totalCost - a.totalCost);
+
+        return {
+            profession,
+            startSkill,
+            targetSkill,
+            steps,
+            blockedAt,
+            totalCost: steps.reduce((sum, step) => sum + step.cost, 0),
+            totalCrafts: steps.reduce((sum, step) => sum + Math.ceil(step.crafts), 0),
+            shoppingList,
+            shoppingCost: shoppingList.reduce((sum, line) => sum + line.totalCost, 0)
+        };
+    }
+
+    updateLeveling() {
+        const select = document.getElementById('levelingProfession');
+        if (select) {
+            const selected = select.value;
+            const professions = [...new Set(this.recipes.map(r => r.profession))].sort();
+            select.innerHTML = professions.map(profession => `<option value="${profession}">${profession}</option>`).join('');
+            if (selected) select.value = selected;
+        }
+
+        // Re-plan against current prices when coming back to the tab
+        if (this.levelingRequest) this.renderLevelingPlan();
+    }
+
+    planLevelingFromForm() {
+        const profession = document.getElementById('levelingProfession')?.value;
+        const startSkill = parseInt(document.getElementById('levelingStart')?.value);
+        const targetSkill = parseInt(document.getElementById('levelingTarget')?.value);
+
+        if (!profession) {
+            this.showError('Please select a profession');
+            return;
+        }
+        if (isNaN(startSkill) || isNaN(targetSkill) || startSkill < 0 || targetSkill <= startSkill) {
+            this.showError('Target skill must be higher than start skill');
+            return;
+        }
+
+        this.levelingRequest = { profession, startSkill, targetSkill };
+        this.renderLevelingPlan();
+    }
+
+    renderLevelingPlan() {
+        const resultsDiv = document.getElementById('levelingResults');
+        if (!resultsDiv || !this.levelingRequest) return;
+
+        const { profession, startSkill, targetSkill } = this.levelingRequest;
+        const plan = this.planLeveling(profession, startSkill, targetSkill);
+
+        if (plan.steps.length === 0) {
+            resultsDiv.innerHTML = `
+                <div class="results-placeholder">
+                    <i class="fas fa-level-up-alt"></i>
+                    <h3>No priced ${profession} recipes give skill-ups at ${startSkill}</h3>
+                    <p>Try a different start skill or profession</p>
+                </div>
+            `;
+            return;
+        }
+
+        resultsDiv.innerHTML = `
+            <div class="calc-results-header">
+                <h3><i class="fas fa-level-up-alt"></i> ${profession} ${startSkill} → ${plan.blockedAt ?? targetSkill}</h3>
+            </div>
+
+            ${plan.blockedAt !== null ? `
+                <div class="calc-warning">
+                    <i class="fas fa-exclamation-triangle"></i>
+                    <div>
+                        <strong>No priced recipe gives skill-ups at ${plan.blockedAt}</strong>
+                        <div>The plan stops there; the remaining ${targetSkill - plan.blockedAt} points need recipes with unpriced materials.</div>
+                    </div>
+                </div>
+            ` : ''}
+
+            <div class="calc-summary">
+                <div class="summary-row">
+                    <span>Expected Crafts:</span>
+                    <span>${plan.totalCrafts}</span>
+                </div>
+                <div class="summary-row">
+                    <span>Materials to Buy:</span>
+                    <span>${this.formatCurrency(plan.shoppingCost)}</span>
+                </div>
+                <div class="summary-row total ${this.getProfitClass(-plan.totalCost)}">
+                    <span><strong>Expected Cost After Resale:</strong></span>
+                    <span><strong>${this.formatCurrency(plan.totalCost)}</strong></span>
+                </div>
+            </div>
+
+            <h4>Steps</h4>
+            <table class="advanced-table leveling-steps">
+                <thead>
+                    <tr>
+                        <th>Skill</th>
+                        <th>Recipe</th>
+                        <th>Learn At</th>
+                        <th>Crafts</th>
+                        <th>Cost After Resale</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${plan.steps.map(step => `
+                        <tr>
+                            <td>${step.fromSkill} → ${step.toSkill}</td>
+                            <td>
+                                <a href="#" onclick="platform.showRecipeDetails(${step.recipe.recipe_id}); return false;">${this.escapeHtml(step.recipe.name)}</a>
+                            </td>
+                            <td>${step.recipe.skill_level}</td>
+                            <td>~${Math.ceil(step.crafts)}</td>
+                            <td class="${this.getProfitClass(-step.cost)}">${this.formatCurrency(step.cost)}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+
+            <h4>Shopping List</h4>
+            <table class="advanced-table leveling-shopping">
+                <thead>
+                    <tr>
+                        <th>Material</th>
+                        <th>Quantity</th>
+                        <th>Unit Cost</th>
+                        <th>Total</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${plan.shoppingList.map(line => `
+                        <tr>
+                            <td>${this.escapeHtml(line.name)} ${this.getCostSourceBadge(line.costSource)}</td>
+                            <td>${line.quantity}</td>
+                            <td>${this.formatCurrency(line.unitCost)}</td>
+                            <td>${this.formatCurrency(line.totalCost)}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    collectLeafMaterials(nodes, factor = 1, leaves = new Map()) {
+        // Flattens a cost tree into what actually gets bought. Crafted inputs are expanded;
+        // a conversion only passes on its output's share of the input, matching its cost.
+        nodes.forEach(node => {
+            if (node.costSource === 'crafting' && node.children.length > 0) {
+                const childrenCost = node.children.reduce((sum, child) => sum + child.totalCost, 0);
+                const share = node.craftingMethod && childrenCost > 0 ? node.totalCost / childrenCost : 1;
+                this.collectLeafMaterials(node.children, factor * share, leaves);
+                return;
+            }
+
+            const leaf = leaves.get(node.itemId) || {
+                itemId: node.itemId,
+                name: node.name,
+                costSource: node.costSource,
+                unitCost: node.unitCost,
+                quantity: 0
+            };
+            leaf.quantity += node.quantity * factor;
+            leaves.set(node.itemId, leaf);
+        });
+        return leaves;
+    }
+
+    optimizeCrafting(budget) {
+        // Greedy by profit per copper spent: each step adds the single craft with the best return
+        // on its marginal cost. Auction materials come off one shared price ladder per item, so
+        // later crafts pay for deeper listings and no two crafts can buy the same listing.
+        const craftable = this.getCraftableRecipeIds();
+        const ladders = new Map();
+        const used = new Map();
+
+        // Built on first use, since a material limit override skips the listed stock entirely
+        const ladder = (itemId) => {
+            if (!ladders.has(itemId)) ladders.set(itemId, this.getPriceLadder(itemId));
+            return ladders.get(itemId);
+        };
+
+        const materialLimit = (leaf) => {
+            const override = this.optimizerLimits.materials[leaf.itemId];
+            if (override !== undefined) return override;
+            if (leaf.costSource !== 'market') return Infinity;
+            return ladder(leaf.itemId).reduce((sum, step) => sum + step.quantity, 0);
+        };
+
+        // Cost of the next `units` of a material, or null when the limit would be exceeded
+        const marginalCost = (leaf, units, from = used.get(leaf.itemId) || 0) => {
+            if (from + units > materialLimit(leaf) + 1e-9) return null;
+            if (leaf.costSource !== 'market') return leaf.unitCost * units;
+
+            let cost = 0;
+            let skipped = from;
+            let remaining = units;
+            for (const step of ladder(leaf.itemId)) {
+                const available = Math.max(0, step.quantity - skipped);
+                skipped = Math.max(0, skipped - step.quantity);
+                const bought = Math.min(available, remaining);
+                cost += bought * step.price;
+                remaining -= bought;
+                if (remaining <= 1e-9) break;
+            }
+            // A material limit above the listed stock is bought at the market price
+            return cost + Math.max(0, remaining) * leaf.unitCost;
+        };
+
+        const candidates = this.processedRecipes
+            .filter(recipe => !craftable || craftable.has(recipe.recipe_id))
+            .filter(recipe => recipe.profit > 0 && recipe.materialDetails.every(material => material.unitCost > 0))
+            .map(recipe => {
+                // Auction results only earn what sells within the sell window, as in getSellThroughOutlook()
+                const sellableUnits = recipe.resultExit === 'auction' ? recipe.volume * this.sellWindowDays : Infinity;
+                const override = this.optimizerLimits.recipes[recipe.recipe_id];
+                return {
+                    recipe,
+                    leaves: [...this.collectLeafMaterials(this.buildCostTree(recipe).materials).values()],
+                    unitNet: (recipe.resultValue - recipe.fees.total) / recipe.expectedQuantity,
+                    sellableUnits,
+                    // By default only plan crafts whose whole output is expected to sell
+                    limit: override !== undefined ? override : Math.floor(sellableUnits / recipe.expectedQuantity),
+                    crafts: 0,
+                    spend: 0,
+                    netReturn: 0
+                };
+            });
+        // What the next craft adds once only its sellable share of the results counts
+        const nextCraftValue = (candidate) => {
+            const units = (crafts) => Math.min(crafts * candidate.recipe.expectedQuantity, candidate.sellableUnits);
+            return candidate.unitNet * (units(candidate.crafts + 1) - units(candidate.crafts));
+        };
+
+        let open = candidates;
+        let spend = 0;
+        let steps = 0;
+        while (open.length > 0 && steps < this.optimizerMaxCrafts) {
+            let best = null;
+            // Costs only rise and the budget only shrinks, so a candidate that fails once is dropped
+            open = open.filter(candidate => {
+                if (candidate.crafts + 1 > candidate.limit) return false;
+                let cost = 0;
+                for (const leaf of candidate.leaves) {
+                    const leafCost = marginalCost(leaf, leaf.quantity);
+                    if (leafCost === null) return false;
+                    cost += leafCost;
+                }
+                const value = nextCraftValue(candidate);
+                const profit = value - cost;
+                if (profit <= 0 || spend + cost > budget) return false;
+
+                const ratio = profit / cost;
+                if (!best || ratio > best.ratio) best = { candidate, cost, value, ratio };
+                return true;
+            });
+            if (!best) break;
+
+            best.candidate.leaves.forEach(leaf => used.set(leaf.itemId, (used.get(leaf.itemId) || 0) + leaf.quantity));
+            best.candidate.crafts++;
+            best.candidate.spend += best.cost;
+            best.candidate.netReturn += best.value;
+            spend += best.cost;
+            steps++;
+        }
+
+        const chosen = candidates.filter(candidate => candidate.crafts > 0);
+        const plan = chosen
+            .map(candidate => ({
+                recipe: candidate.recipe,
+                crafts: candidate.crafts,
+                limit: candidate.limit,
+                spend: candidate.spend,
+                netReturn: candidate.netReturn,
+                profit: candidate.netReturn - candidate.spend
+            }))
+            .sort((a, b) => b.profit - a.profit);
+
+        const leaves = new Map();
+        chosen.forEach(candidate => candidate.leaves.forEach(leaf => leaves.set(leaf.itemId, leaf)));
+        const shoppingList = [...leaves.values()]
+            .map(leaf => {
+                const units = used.get(leaf.itemId);
+                const totalCost = marginalCost(leaf, units, 0);
+                return {
+                    itemId: leaf.itemId,
+                    name: leaf.name,
+                    costSource: leaf.costSource,
+                    units,
+                    limit: materialLimit(leaf),
+                    totalCost,
+                    averagePrice: units > 0 ? totalCost / units : 0
+                };
+            })
+            .sort((a, b) => b.totalCost - a.totalCost);
+
+        const netReturn = plan.reduce((sum, row) => sum + row.netReturn, 0);
+        return { budget, plan, shoppingList, spend, netReturn, profit: netReturn - spend, capped: steps >= this.optimizerMaxCrafts };
+    }
+
+    getOptimizerPlan(budget) {
+        // Tab switches and re-renders reuse the last plan until prices, limits or characters change
+        const key = JSON.stringify([budget, this.optimizerLimits, this.activeCharacter, this.characters]);
+        const cached = this.optimizerCache;
+        if (cached && cached.key === key && cached.recipes === this.processedRecipes) return cached.result;
+
+        const result = this.optimizeCrafting(budget);
+        this.optimizerCache = { key, recipes: this.processedRecipes, result };
+        return result;
+    }
+
+    optimizeFromForm() {
+        const budget = this.parseMoney(document.getElementById('optimizerBudget')?.value);
+        if (isNaN(budget) || budget <= 0) {
+            this.showError('Enter a budget like 500g or 1500000');
+            return;
+        }
+
+        this.optimizerRequest = { budget };
+        this.renderOptimizerPlan();
+    }
+
+    setOptimizerLimit(kind, id, value) {
+        // Blank clears the override and restores the default limit
+        const limit = parseFloat(value);
+        if (value === '' || isNaN(limit)) {
+            delete this.optimizerLimits[kind][id];
+        } else {
+            this.optimizerLimits[kind][id] = Math.max(0, limit);
+        }
+        this.saveOptimizerLimits();
+        this.renderOptimizerPlan();
+    }
+
+    clearOptimizerLimits() {
+        this.optimizerLimits = { recipes: {}, materials: {} };
+        this.saveOptimizerLimits();
+        this.renderOptimizerPlan();
+    }
+
+    saveOptimizerLimits() {
+        localStorage.setItem('optimizerLimits', JSON.stringify(this.optimizerLimits));
+    }
+
+    renderOptimizerPlan() {
+        const resultsDiv = document.getElementById('optimizerResults');
+        if (!resultsDiv || !this.optimizerRequest) return;
+
+        const overrides = Object.keys(this.optimizerLimits.recipes).length + Object.keys(this.optimizerLimits.materials).length;
+        let result;
+        try {
+            result = this.getOptimizerPlan(this.optimizerRequest.budget);
+        } catch (error) {
+            // Keep Clear Limits reachable, since a bad override is the likeliest cause
+            console.error('Failed to optimize:', error);
+            this.showError('Failed to build a crafting plan');
+            resultsDiv.innerHTML = `
+                <div class="results-placeholder">
+                    <i class="fas fa-exclamation-triangle"></i>
+                    <h3>No plan could be built</h3>
+                    ${overrides > 0 ? '<button class="btn btn-outline" onclick="platform.clearOptimizerLimits()">Clear Limits</button>' : ''}
+                </div>
+            `;
+            return;
+        }
+        const limitInput = (kind, id, limit) => `
+            <input type="number" class="form-control optimizer-limit" min="0"
+                value="${this.optimizerLimits[kind][id] ?? ''}" placeholder="${isFinite(limit) ? this.formatQuantity(limit) : 'No limit'}"
+                onchange="platform.setOptimizerLimit('${kind}', ${id}, this.value)">
+        `;
+
+        if (result.plan.length === 0) {
+            resultsDiv.innerHTML = `
+                <div class="results-placeholder">
+                    <i class="fas fa-sliders-h"></i>
+                    <h3>Nothing profitable fits ${this.formatCurrency(result.budget)}</h3>
+                    <p>Raise the budget, loosen limits or pick a character with more recipes</p>
+                    ${overrides > 0 ? '<button class="btn btn-outline" onclick="platform.clearOptimizerLimits()">Clear Limits</button>' : ''}
+                </div>
+            `;
+            return;
+        }
+
+        resultsDiv.innerHTML = `
+            <div class="calc-results-header">
+                <h3><i class="fas fa-sliders-h"></i> Plan for ${this.formatCurrency(result.budget)}</h3>
+                ${overrides > 0 ? `
+                    <button class="btn btn-outline btn-sm" onclick="platform.clearOptimizerLimits()">
+                        <i class="fas fa-undo"></i> Clear ${overrides} Limits
+                    </button>
+                ` : ''}
+            </div>
+
+            ${result.capped ? `
+                <div class="calc-warning">
+                    <i class="fas fa-exclamation-triangle"></i>
+                    <div>The plan stopped at ${this.optimizerMaxCrafts} crafts; set recipe limits to narrow it down.</div>
+                </div>
+            ` : ''}
+
+            <div class="calc-summary">
+                <div class="summary-row">
+                    <span>Total Spend:</span>
+                    <span>${this.formatCurrency(result.spend)}</span>
+                </div>
+                <div class="summary-row">
+                    <span>Expected Return (after fees):</span>
+                    <span>${this.formatCurrency(result.netReturn)}</span>
+                </div>
+                <div class="summary-row">
+                    <span>Budget Left:</span>
+                    <span>${this.formatCurrency(result.budget - result.spend)}</span>
+                </div>
+                <div class="summary-row total ${this.getProfitClass(result.profit)}">
+                    <span><strong>Expected Profit:</strong></span>
+                    <span><strong>${this.formatCurrency(result.profit)}</strong></span>
+                </div>
+            </div>
+
+            <h4>Crafts</h4>
+            <table class="advanced-table">
+                <thead>
+                    <tr>
+                        <th>Recipe</th>
+                        <th>Crafts</th>
+                        <th>Spend</th>
+                        <th>Return</th>
+                        <th>Profit</th>
+                        <th>Max Crafts</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${result.plan.map(row => `
+                        <tr>
+                            <td>
+                                <a href="#" onclick="platform.showRecipeDetails(${row.recipe.recipe_id}); return false;">${this.escapeHtml(row.recipe.name)}</a>
+                                ${row.recipe.resultExit !== 'auction' ? `<span class="exit-badge ${row.recipe.resultExit}">${this.getExitLabel(row.recipe.resultExit)}</span>` : ''}
+                            </td>
+                            <td>${row.crafts}</td>
+                            <td>${this.formatCurrency(row.spend)}</td>
+                            <td>${this.formatCurrency(row.netReturn)}</td>
+                            <td class="${this.getProfitClass(row.profit)}">${this.formatCurrency(row.profit)}</td>
+                            <td>${limitInput('recipes', row.recipe.recipe_id, row.limit)}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+
+            <h4>Shopping List</h4>
+            <table class="advanced-table">
+                <thead>
+                    <tr>
+                        <th>Material</th>
+                        <th>Quantity</th>
+                        <th>Avg Price</th>
+                        <th>Total</th>
+                        <th>Max Units</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${result.shoppingList.map(line => `
+                        <tr>
+                            <td>${this.escapeHtml(line.name)} ${this.getCostSourceBadge(line.costSource)}</td>
+                            <td>${this.formatQuantity(line.units)}</td>
+                            <td>${this.formatCurrency(line.averagePrice)}</td>
+                            <td>${this.formatCurrency(line.totalCost)}</td>
+                            <td>${limitInput('materials', line.itemId, line.limit)}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
     }
 
     addCalculationToPortfolio(recipeId, quantity) {
-        const recipe = this.filteredRecipes.find(r => r.recipe_id === recipeId);
+        const recipe = this.findRecipe(recipeId);
         if (!recipe) return;
 
         const portfolioItem = {
@@ -1070,9 +5000,24 @@ class CraftingProPlatform {
         this.showSuccess('Recipe added to portfolio!');
     }
 
+    getPortfolioOutlook(item) {
+        // Re-value against current prices and sell-through; fall back to what was stored
+        const recipe = this.findRecipe(item.recipeId);
+        if (!recipe) return { expectedProfit: item.expectedProfit, roi: item.roi, daysToSell: null };
+
+        const outlook = this.getSellThroughOutlook(recipe, item.quantity);
+        const expectedProfit = outlook.netSoldValue - item.investment;
+        return {
+            expectedProfit,
+            roi: item.investment > 0 ? (expectedProfit / item.investment) * 100 : 0,
+            daysToSell: outlook.daysToSell
+        };
+    }
+
     updatePortfolio() {
+        const outlooks = new Map(this.portfolio.map(item => [item.id, this.getPortfolioOutlook(item)]));
         const totalInvestment = this.portfolio.reduce((sum, item) => sum + item.investment, 0);
-        const expectedReturn = this.portfolio.reduce((sum, item) => sum + item.expectedProfit, 0);
+        const expectedReturn = this.portfolio.reduce((sum, item) => sum + outlooks.get(item.id).expectedProfit, 0);
         const portfolioROI = totalInvestment > 0 ? ((expectedReturn / totalInvestment) * 100) : 0;
 
         // Update summary stats
@@ -1092,29 +5037,33 @@ class CraftingProPlatform {
         if (!tbody) return;
 
         if (this.portfolio.length === 0) {
-            tbody.innerHTML = '<tr><td colspan="6" class="no-data">No items in portfolio</td></tr>';
+            tbody.innerHTML = '<tr><td colspan="7" class="no-data">No items in portfolio</td></tr>';
             return;
         }
 
-        tbody.innerHTML = this.portfolio.map(item => `
+        tbody.innerHTML = this.portfolio.map(item => {
+            const outlook = outlooks.get(item.id);
+            return `
             <tr>
                 <td>
-                    <div class="recipe-name">${item.recipeName}</div>
+                    <div class="recipe-name">${this.escapeHtml(item.recipeName)}</div>
                     <div style="font-size: 12px; color: var(--text-muted);">
                         <span class="profession-badge" data-profession="${item.profession}">${item.profession}</span>
                     </div>
                 </td>
                 <td>${item.quantity}</td>
                 <td>${this.formatCurrency(item.investment)}</td>
-                <td class="${this.getProfitClass(item.expectedProfit)}">${this.formatCurrency(item.expectedProfit)}</td>
-                <td class="${this.getProfitClass(item.roi)}">${item.roi.toFixed(1)}%</td>
+                <td class="${this.getProfitClass(outlook.expectedProfit)}">${this.formatCurrency(outlook.expectedProfit)}</td>
+                <td class="${this.getProfitClass(outlook.roi)}">${outlook.roi.toFixed(1)}%</td>
+                <td>${outlook.daysToSell !== null ? this.formatDaysToSell(outlook.daysToSell) : '-'}</td>
                 <td>
                     <button class="btn btn-outline btn-sm" onclick="platform.removeFromPortfolio(${item.id})">
                         <i class="fas fa-trash"></i>
                     </button>
                 </td>
             </tr>
-        `).join('');
+        `;
+        }).join('');
     }
 
     removeFromPortfolio(itemId) {
@@ -1128,8 +5077,8 @@ class CraftingProPlatform {
         localStorage.setItem('craftingPortfolio', JSON.stringify(this.portfolio));
     }
 
-    updateMaterialCost(recipeId, materialIndex, customCost) {
-        const recipe = this.filteredRecipes.find(r => r.recipe_id === recipeId);
+    async updateMaterialCost(recipeId, materialIndex, customCost) {
+        const recipe = this.findRecipe(recipeId);
         if (!recipe || !recipe.materialDetails[materialIndex]) return;
 
         const material = recipe.materialDetails[materialIndex];
@@ -1144,40 +5093,324 @@ class CraftingProPlatform {
         this.customMaterialCosts[material.itemId] = cost;
         localStorage.setItem('customMaterialCosts', JSON.stringify(this.customMaterialCosts));
 
-        // Reprocess data to update calculations
-        this.processData();
+        // Only recompute what depends on this material
+        if (!await this.requestPricing('customCosts', { itemIds: [material.itemId] })) return;
         
         // Refresh the modal with updated costs
         this.showRecipeDetails(recipeId);
         
-        this.showSuccess(`Updated cost for ${material.name} to ${this.formatCurrency(cost)}`);
+        this.showSuccess(`Updated cost for ${this.escapeHtml(material.name)} to ${this.formatCurrency(cost)}`);
     }
 
-    resetMaterialCost(itemId) {
+    async resetMaterialCost(itemId) {
         delete this.customMaterialCosts[itemId];
         localStorage.setItem('customMaterialCosts', JSON.stringify(this.customMaterialCosts));
-        this.processData();
+        await this.requestPricing('customCosts', { itemIds: [itemId] });
         this.showSuccess('Reset to market price');
     }
 
     updateAlerts() {
+        ['profit', 'price', 'stock'].forEach(type => {
+            const count = document.getElementById(`${type}AlertCount`);
+            if (count) count.textContent = `${this.alerts.filter(a => a.type === type).length} Active`;
+        });
+
         const alertsList = document.getElementById('alertsList');
-        if (!alertsList) return;
+        if (alertsList) {
+            alertsList.innerHTML = this.alerts.length === 0 ?
+                '<div class="no-data">No active alerts</div>' :
+                this.alerts.map(alert => `
+                    <div class="alert-item ${alert.triggered ? 'triggered' : ''}">
+                        <div class="alert-info">
+                            <div class="alert-title">${this.escapeHtml(alert.title)}</div>
+                            <div class="alert-description">${this.describeAlert(alert)}</div>
+                            <div class="alert-threshold">
+                                ${alert.lastValue !== undefined ? `Current: ${this.formatAlertValue(alert.type, alert.lastValue)}` : 'Not evaluated yet'}
+                                ${alert.triggered ? '<span class="alert-status">Triggered</span>' : ''}
+                            </div>
+                        </div>
+                        <div class="alert-actions">
+                            <button class="btn btn-outline btn-sm" onclick="platform.editAlert(${alert.id})">
+                                <i class="fas fa-edit"></i>
+                            </button>
+                            <button class="btn btn-outline btn-sm" onclick="platform.removeAlert(${alert.id})">
+                                <i class="fas fa-trash"></i>
+                            </button>
+                        </div>
+                    </div>
+                `).join('');
+        }
+
+        const eventsList = document.getElementById('alertEventsList');
+        if (eventsList) {
+            eventsList.innerHTML = this.alertEvents.length === 0 ?
+                '<div class="no-data">No alerts have triggered yet</div>' :
+                this.alertEvents.map(event => `
+                    <div class="alert-item ${event.read ? '' : 'unread'}">
+                        <div class="alert-info">
+                            <div class="alert-title">${this.escapeHtml(event.title)}</div>
+                            <div class="alert-description">${event.description}</div>
+                            <div class="alert-threshold">
+                                Value ${this.formatAlertValue(event.type, event.value)} crossed ${this.formatAlertValue(event.type, event.threshold)}
+                            </div>
+                        </div>
+                        <div class="alert-time">${new Date(event.triggeredAt).toLocaleString()}</div>
+                    </div>
+                `).join('');
+        }
+    }
+
+    getRecipeCooldown(recipe) {
+        return this.cooldowns.find(cooldown => Array.isArray(cooldown.recipes) ?
+            cooldown.recipes.includes(recipe.recipe_id) :
+            cooldown.profession === recipe.profession && cooldown.pattern.test(recipe.name)) || null;
+    }
+
+    getCooldownReadyAt(characterId, cooldown) {
+        const lastUsed = this.cooldownUsage[characterId]?.[cooldown.id];
+        return lastUsed ? lastUsed + cooldown.hours * 3600000 : 0;
+    }
+
+    buildDailyPlan(character, now = Date.now()) {
+        // One line per cooldown the character can use, filled with its most profitable craft.
+        // Profit is re-scaled to this character's specializations, whatever character is active.
+        const specializations = new Set(character.specializations || []);
+        const endOfDay = new Date(now).setHours(24, 0, 0, 0);
+        const knownRecipes = new Set(character.knownRecipes);
+
+        const entries = this.cooldowns.map(cooldown => {
+            const options = this.processedRecipes
+                .filter(recipe => recipe.cooldown?.id === cooldown.id && this.canCharacterCraft(character, recipe, knownRecipes))
+                .map(recipe => {
+                    const unitNet = (recipe.resultValue - recipe.fees.total) / recipe.expectedQuantity;
+                    const expected = this.getRecipeYield(recipe, specializations).expected;
+                    return { recipe, profit: unitNet * expected - recipe.materialsCost };
+                })
+                .sort((a, b) => b.profit - a.profit);
+            if (options.length === 0) return null;
+
+            const readyAt = this.getCooldownReadyAt(character.id, cooldown);
+            return {
+                cooldown,
+                recipe: options[0].recipe,
+                profit: options[0].profit,
+                options: options.length,
+                readyAt,
+                ready: readyAt <= now,
+                readyToday: readyAt < endOfDay
+            };
+        }).filter(Boolean);
+
+        // Unprofitable cooldowns aren't worth pressing, so they don't count toward the totals
+        const perDay = entries.reduce((sum, entry) => sum + Math.max(0, entry.profit) * 24 / entry.cooldown.hours, 0);
+        return {
+            character,
+            entries,
+            readyProfit: entries.filter(entry => entry.ready).reduce((sum, entry) => sum + Math.max(0, entry.profit), 0),
+            profitPerDay: perDay,
+            profitPerWeek: perDay * 7
+        };
+    }
+
+    formatCooldownStatus(entry, now = Date.now()) {
+        if (entry.ready) return 'Ready';
+        const readyAt = new Date(entry.readyAt);
+        if (entry.readyToday) return `Ready at ${readyAt.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`;
+
+        const hours = Math.ceil((entry.readyAt - now) / 3600000);
+        return `Ready in ${hours >= 24 ? `${Math.floor(hours / 24)}d ${hours % 24}h` : `${hours}h`}`;
+    }
+
+    updateDailyPlan() {
+        const summary = document.getElementById('dailySummary');
+        const container = document.getElementById('dailyPlanResults');
+        if (!summary || !container) return;
+
+        if (this.cooldowns.length === 0 || this.characters.length === 0) {
+            summary.innerHTML = '';
+            container.innerHTML = `
+                <div class="results-placeholder">
+                    <i class="fas fa-calendar-day"></i>
+                    <h3>${this.cooldowns.length === 0 ? 'No cooldown data loaded' : 'No characters yet'}</h3>
+                    <p>${this.cooldowns.length === 0 ?
+                        'Add cooldowns.json next to the recipe file to plan daily crafts' :
+                        'Add a character with known cooldown recipes to plan their daily crafts'}</p>
+                </div>
+            `;
+            return;
+        }
+
+        // "All Characters" and "Any Recipe" both show everyone; a single character shows just them
+        const characters = this.activeCharacter && this.activeCharacter !== 'all' ?
+            this.characters.filter(character => character.id === this.activeCharacter) :
+            this.characters;
+        const now = Date.now();
+        const plans = characters.map(character => this.buildDailyPlan(character, now));
+
+        const cards = [
+            ['Ready Now', plans.reduce((sum, plan) => sum + plan.entries.filter(entry => entry.ready).length, 0)],
+            ['Ready Profit', this.formatCurrency(plans.reduce((sum, plan) => sum + plan.readyProfit, 0))],
+            ['Profit / Day', this.formatCurrency(plans.reduce((sum, plan) => sum + plan.profitPerDay, 0))],
+            ['Profit / Week', this.formatCurrency(plans.reduce((sum, plan) => sum + plan.profitPerWeek, 0))]
+        ];
+        summary.innerHTML = cards.map(([label, value]) => `
+            <div class="stat-card">
+                <h3>${label}</h3>
+                <div class="stat-value">${value}</div>
+            </div>
+        `).join('');
+
+        container.innerHTML = plans.map(plan => `
+            <div class="quality-section daily-plan">
+                <div class="alerts-header">
+                    <h3>${this.escapeHtml(plan.character.name)}</h3>
+                    <span class="mover-hint">
+                        ${this.formatCurrency(plan.profitPerDay)}/day · ${this.formatCurrency(plan.profitPerWeek)}/week
+                    </span>
+                </div>
+                ${plan.entries.length === 0 ? '<div class="no-data">No known cooldown recipes</div>' : `
+                    <table class="advanced-table">
+                        <thead>
+                            <tr>
+                                <th>Cooldown</th>
+                                <th>Best Craft</th>
+                                <th>Profit</th>
+                                <th>Status</th>
+                                <th>Actions</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${plan.entries.map(entry => `
+                                <tr class="${entry.ready ? 'cooldown-ready' : ''}">
+                                    <td>${entry.cooldown.name || entry.cooldown.id} <span class="mover-hint">${entry.cooldown.hours}h</span></td>
+                                    <td>
+                                        <a href="#" onclick="platform.showRecipeDetails(${entry.recipe.recipe_id}); return false;">${this.escapeHtml(entry.recipe.name)}</a>
+                                        ${entry.options > 1 ? `<span class="mover-hint">best of ${entry.options}</span>` : ''}
+                                    </td>
+                                    <td class="${this.getProfitClass(entry.profit)}">${this.formatCurrency(entry.profit)}</td>
+                                    <td>${this.formatCooldownStatus(entry, now)}</td>
+                                    <td>
+                                        <button class="btn btn-outline btn-sm" onclick="platform.markCooldownUsed('${plan.character.id}', '${entry.cooldown.id}')">
+                                            <i class="fas fa-check"></i> Used
+                                        </button>
+                                        ${entry.readyAt ? `
+                                            <button class="btn btn-outline btn-sm" onclick="platform.resetCooldown('${plan.character.id}', '${entry.cooldown.id}')">
+                                                <i class="fas fa-undo"></i>
+                                            </button>
+                                        ` : ''}
+                                    </td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                `}
+            </div>
+        `).join('');
+    }
+
+    markCooldownUsed(characterId, cooldownId) {
+        this.cooldownUsage[characterId] = { ...this.cooldownUsage[characterId], [cooldownId]: Date.now() };
+        this.saveCooldownUsage();
+        this.updateDailyPlan();
+    }
+
+    resetCooldown(characterId, cooldownId) {
+        if (!this.cooldownUsage[characterId]) return;
+        delete this.cooldownUsage[characterId][cooldownId];
+        this.saveCooldownUsage();
+        this.updateDailyPlan();
+    }
+
+    saveCooldownUsage() {
+        localStorage.setItem('cooldownUsage', JSON.stringify(this.cooldownUsage));
+    }
+
+    canCharacterCraft(character, recipe, knownRecipes) {
+        // knownRecipes is the character's known list as a Set, built once by callers looping over recipes
+        const skill = character.professions[recipe.profession];
+        return skill !== undefined && skill >= recipe.skill_level && knownRecipes.has(recipe.recipe_id);
+    }
+
+    getCraftableRecipeIds() {
+        // null means no character is selected and every recipe counts
+        if (!this.activeCharacter) return null;
+
+        const characters = this.activeCharacter === 'all' ?
+            this.characters :
+            this.characters.filter(character => character.id === this.activeCharacter);
+        const knownRecipes = new Map(characters.map(character => [character, new Set(character.knownRecipes)]));
+        const craftable = new Set();
+        this.recipes.forEach(recipe => {
+            if (characters.some(character => this.canCharacterCraft(character, recipe, knownRecipes.get(character)))) {
+                craftable.add(recipe.recipe_id);
+            }
+        });
+        return craftable;
+    }
+
+    async setActiveCharacter(characterId) {
+        this.activeCharacter = characterId;
+        localStorage.setItem('activeCharacter', characterId);
+
+        // Specializations change expected yields, so costs are recomputed too
+        if (!await this.requestPricing('process')) return;
+        this.currentPage = 1;
+        this.updateSidebarStats();
+        this.updateCalculatorRecipes();
+        this.updateTabContent();
+    }
+
+    populateCharacterSelect() {
+        const select = document.getElementById('activeCharacter');
+        if (!select) return;
+
+        // Fall back to every recipe when the selected character was removed
+        const known = this.activeCharacter === 'all' ?
+            this.characters.length > 0 :
+            !this.activeCharacter || this.characters.some(character => character.id === this.activeCharacter);
+        if (!known) this.setActiveCharacter('');
+
+        select.innerHTML = `
+            <option value="">Any Recipe</option>
+            ${this.characters.length > 0 ? '<option value="all">All Characters</option>' : ''}
+            ${this.characters.map(character => `<option value="${character.id}">${this.escapeHtml(character.name)}</option>`).join('')}
+        `;
+        select.value = this.activeCharacter;
+    }
+
+    showCharacterModal(characterId = null) {
+        this.editingCharacterId = characterId;
+        this.renderCharacterList();
+        this.populateCharacterForm(this.characters.find(character => character.id === characterId));
+
+        const modal = document.getElementById('characterModal');
+        if (modal) modal.style.display = 'block';
+    }
+
+    renderCharacterList() {
+        const container = document.getElementById('characterList');
+        if (!container) return;
 
-        if (this.alerts.length === 0) {
-            alertsList.innerHTML = '<div class="no-data">No active alerts</div>';
+        if (this.characters.length === 0) {
+            container.innerHTML = '<div class="no-data">No characters yet. Add one below.</div>';
             return;
         }
 
-        alertsList.innerHTML = this.alerts.map(alert => `
-            <div class="alert-item">
-                <div class="alert-info">
-                    <div class="alert-title">${alert.title}</div>
-                    <div class="alert-description">${alert.description}</div>
-                    <div class="alert-threshold">Threshold: ${alert.threshold}</div>
+        container.innerHTML = this.characters.map(character => `
+            <div class="alert-item ${character.id === this.editingCharacterId ? 'triggered' : ''}">
+                <div>
+                    <div class="alert-title">${this.escapeHtml(character.name)}</div>
+                    <div class="alert-status">
+                        ${Object.entries(character.professions).map(([profession, skill]) => `${profession} ${skill}`).join(' · ') || 'No professions'}
+                        · ${character.knownRecipes.length} known recipes
+                        ${(character.specializations || []).length > 0 ? `· ${character.specializations.map(id => this.getSpecializationName(id)).join(', ')}` : ''}
+                    </div>
                 </div>
                 <div class="alert-actions">
-                    <button class="btn btn-outline btn-sm" onclick="platform.removeAlert(${alert.id})">
+                    <button class="btn btn-outline btn-sm" onclick="platform.showCharacterModal('${character.id}')">
+                        <i class="fas fa-edit"></i>
+                    </button>
+                    <button class="btn btn-outline btn-sm" onclick="platform.removeCharacter('${character.id}')">
                         <i class="fas fa-trash"></i>
                     </button>
                 </div>
@@ -1185,8 +5418,363 @@ class CraftingProPlatform {
         `).join('');
     }
 
+    populateCharacterForm(character) {
+        const title = document.getElementById('characterFormTitle');
+        const name = document.getElementById('characterName');
+        const professions = document.getElementById('characterProfessions');
+        const knownCount = document.getElementById('characterKnownCount');
+        const importText = document.getElementById('characterRecipeImport');
+        const specializations = document.getElementById('characterSpecializations');
+
+        if (title) title.textContent = character ? `Edit ${character.name}` : 'New Character';
+        if (name) name.value = character?.name || '';
+        if (importText) importText.value = '';
+        if (knownCount) knownCount.textContent = `${character?.knownRecipes.length || 0} known recipes`;
+
+        if (professions) {
+            professions.innerHTML = [...new Set(this.recipes.map(r => r.profession))].sort().map(profession => `
+                <div class="form-group">
+                    <label>${profession}</label>
+                    <input type="number" class="form-control" data-profession="${profession}" min="0" max="375"
+                        placeholder="Not learned" value="${character?.professions[profession] ?? ''}">
+                </div>
+            `).join('');
+        }
+
+        if (specializations) {
+            const chosen = character?.specializations || [];
+            specializations.innerHTML = this.yieldModifiers.specializations.length === 0 ?
+                '<span class="mover-hint">No specializations loaded</span>' :
+                this.yieldModifiers.specializations.map(spec => `
+                    <label>
+                        <input type="checkbox" data-specialization="${spec.id}" ${chosen.includes(spec.id) ? 'checked' : ''}>
+                        ${spec.name || spec.id} <span class="mover-hint">${spec.profession}</span>
+                    </label>
+                `).join('');
+        }
+    }
+
+    getSpecializationName(specializationId) {
+        const spec = this.yieldModifiers.specializations.find(entry => entry.id === specializationId);
+        return spec ? spec.name || spec.id : specializationId;
+    }
+
+    parseRecipeImport(text) {
+        // Accepts recipe IDs or exact names, separated by commas, semicolons or new lines
+        const recipeIds = new Set();
+        const unmatched = [];
+
+        text.split(/[\n,;]+/).map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+            const matches = /^\d+$/.test(entry) ?
+                this.recipes.filter(recipe => recipe.recipe_id === parseInt(entry)) :
+                this.recipes.filter(recipe => recipe.name.toLowerCase() === entry.toLowerCase());
+
+            if (matches.length === 0) {
+                unmatched.push(entry);
+            } else {
+                matches.forEach(recipe => recipeIds.add(recipe.recipe_id));
+            }
+        });
+
+        return { recipeIds: [...recipeIds], unmatched };
+    }
+
+    saveCharacterFromForm() {
+        const name = document.getElementById('characterName')?.value.trim();
+        if (!name) {
+            this.showError('Please enter a character name');
+            return;
+        }
+
+        const professions = {};
+        document.querySelectorAll('#characterProfessions input[data-profession]').forEach(input => {
+            const skill = parseInt(input.value);
+            if (!isNaN(skill)) professions[input.dataset.profession] = skill;
+        });
+
+        const existing = this.characters.find(character => character.id === this.editingCharacterId);
+        const replace = document.getElementById('characterImportMode')?.value === 'replace';
+        const { recipeIds, unmatched } = this.parseRecipeImport(document.getElementById('characterRecipeImport')?.value || '');
+        const knownRecipes = new Set(replace ? [] : existing?.knownRecipes || []);
+        recipeIds.forEach(recipeId => knownRecipes.add(recipeId));
+
+        // Imported recipes imply their profession at least at the recipe's learn level
+        recipeIds.forEach(recipeId => {
+            const recipe = this.recipes.find(r => r.recipe_id === recipeId);
+            if (professions[recipe.profession] === undefined) {
+                const learned = recipeIds
+                    .map(id => this.recipes.find(r => r.recipe_id === id))
+                    .filter(r => r.profession === recipe.profession);
+                professions[recipe.profession] = Math.max(...learned.map(r => r.skill_level));
+            }
+        });
+
+        const specializations = [...document.querySelectorAll('#characterSpecializations input[data-specialization]:checked')]
+            .map(input => input.dataset.specialization);
+
+        const character = {
+            id: existing?.id || `${Date.now()}`,
+            name,
+            professions,
+            specializations,
+            knownRecipes: [...knownRecipes]
+        };
+
+        if (existing) {
+            this.characters = this.characters.map(c => c.id === existing.id ? character : c);
+        } else {
+            this.characters.push(character);
+        }
+        this.saveCharacters();
+
+        this.editingCharacterId = character.id;
+        this.renderCharacterList();
+        this.populateCharacterForm(character);
+        this.populateCharacterSelect();
+        this.setActiveCharacter(this.activeCharacter);
+
+        if (unmatched.length > 0) {
+            this.showError(`${unmatched.length} entries did not match a recipe: ${this.escapeHtml(unmatched.slice(0, 5).join(', '))}${unmatched.length > 5 ? '…' : ''}`);
+        } else {
+            this.showSuccess(`${this.escapeHtml(name)} saved with ${character.knownRecipes.length} known recipes`);
+        }
+    }
+
+    removeCharacter(characterId) {
+        this.characters = this.characters.filter(character => character.id !== characterId);
+        this.saveCharacters();
+        delete this.cooldownUsage[characterId];
+        this.saveCooldownUsage();
+
+        if (this.editingCharacterId === characterId) {
+            this.editingCharacterId = null;
+            this.populateCharacterForm(null);
+        }
+        this.renderCharacterList();
+        this.populateCharacterSelect();
+        this.setActiveCharacter(this.activeCharacter);
+    }
+
+    saveCharacters() {
+        localStorage.setItem('characters', JSON.stringify(this.characters));
+    }
+
+    showCreateAlertModal(defaults = {}) {
+        const alert = this.editingAlertId !== null ? this.alerts.find(a => a.id === this.editingAlertId) : null;
+        const values = alert || { type: 'profit', condition: 'above', threshold: '', targetId: '', ...defaults };
+
+        const title = document.getElementById('alertModalTitle');
+        const submit = document.getElementById('alertSubmit');
+        if (title) title.textContent = alert ? 'Edit Alert' : 'Create Alert';
+        if (submit) submit.textContent = alert ? 'Save Alert' : 'Create Alert';
+
+        const alertType = document.getElementById('alertType');
+        const alertCondition = document.getElementById('alertCondition');
+        const alertThreshold = document.getElementById('alertThreshold');
+        if (alertType) alertType.value = values.type;
+        this.populateAlertTargets(values.type, values.targetId);
+        if (alertCondition) alertCondition.value = values.condition;
+        if (alertThreshold) alertThreshold.value = values.threshold;
+
+        const modal = document.getElementById('alertModal');
+        if (modal) modal.style.display = 'block';
+    }
+
+    populateAlertTargets(type, selectedId = '') {
+        const select = document.getElementById('alertTarget');
+        if (!select) return;
+
+        let targets;
+        if (type === 'profit') {
+            targets = this.recipes
+                .map(recipe => ({ id: recipe.recipe_id, name: recipe.name }));
+        } else {
+            // Anything that shows up in a recipe, as a material or a result
+            const itemIds = new Set();
+            this.recipes.forEach(recipe => {
+                recipe.materials.forEach(material => itemIds.add(material.itemId));
+                itemIds.add(recipe.result_item_id);
+            });
+            targets = [...itemIds]
+                .filter(itemId => this.auctionData[itemId])
+                .map(itemId => ({ id: itemId, name: this.auctionData[itemId].itemName }));
+        }
+
+        select.innerHTML = '<option value="">Select target...</option>' + targets
+            .sort((a, b) => a.name.localeCompare(b.name))
+            .map(target => `<option value="${target.id}">${this.escapeHtml(target.name)}</option>`)
+            .join('');
+        select.value = selectedId;
+
+        const label = document.getElementById('alertThresholdLabel');
+        if (label) label.textContent = type === 'stock' ? 'Threshold (units listed)' : 'Threshold (copper)';
+    }
+
+    saveAlertFromForm() {
+        const type = document.getElementById('alertType')?.value;
+        const targetId = parseInt(document.getElementById('alertTarget')?.value);
+        const condition = document.getElementById('alertCondition')?.value || 'above';
+        const threshold = parseFloat(document.getElementById('alertThreshold')?.value);
+
+        if (!targetId) {
+            this.showError('Please select an alert target');
+            return;
+        }
+        if (isNaN(threshold) || (type !== 'profit' && threshold < 0)) {
+            this.showError('Please enter a valid threshold');
+            return;
+        }
+
+        const title = type === 'profit' ?
+            this.recipes.find(r => r.recipe_id === targetId)?.name :
+            this.auctionData[targetId]?.itemName;
+        const fields = { type, targetId, condition, threshold, title: title || `Item ${targetId}` };
+
+        const existing = this.alerts.find(a => a.id === this.editingAlertId);
+        if (existing) {
+            // Changing the rule resets its trigger state so it can fire again
+            Object.assign(existing, fields, { triggered: false });
+        } else {
+            this.alerts.push({ id: Date.now(), createdAt: new Date().toISOString(), triggered: false, ...fields });
+        }
+
+        this.showSuccess(existing ? 'Alert updated' : 'Alert created');
+        this.editingAlertId = null;
+        this.closeModal('alertModal');
+        this.evaluateAlerts();
+        this.updateAlerts();
+    }
+
+    editAlert(alertId) {
+        this.editingAlertId = alertId;
+        this.showCreateAlertModal();
+    }
+
+    createMaterialAlert(itemId) {
+        this.editingAlertId = null;
+        this.showCreateAlertModal({
+            type: 'price',
+            targetId: itemId,
+            condition: 'below',
+            threshold: Math.round(this.getMarketPrice(itemId))
+        });
+    }
+
+    createProfitAlert(recipeId) {
+        const recipe = this.findRecipe(recipeId);
+        this.editingAlertId = null;
+        this.showCreateAlertModal({
+            type: 'profit',
+            targetId: recipeId,
+            condition: 'above',
+            threshold: recipe ? Math.round(recipe.profit) : ''
+        });
+    }
+
+    removeAlert(alertId) {
+        this.alerts = this.alerts.filter(alert => alert.id !== alertId);
+        this.saveAlerts();
+        this.updateAlerts();
+        this.showSuccess('Alert removed');
+    }
+
+    saveAlerts() {
+        localStorage.setItem('priceAlerts', JSON.stringify(this.alerts));
+        localStorage.setItem('alertEvents', JSON.stringify(this.alertEvents));
+    }
+
+    getAlertValue(alert) {
+        switch (alert.type) {
+            case 'profit': {
+                const recipe = this.findRecipe(alert.targetId);
+                return recipe ? recipe.profit : null;
+            }
+            case 'stock':
+                // An item missing from the scan is unknown, not out of stock
+                return this.auctionData[alert.targetId] ? this.auctionData[alert.targetId].quantity || 0 : null;
+            case 'price':
+            default:
+                return this.auctionData[alert.targetId] ? this.getMarketPrice(alert.targetId) : null;
+        }
+    }
+
+    evaluateAlerts() {
+        const newEvents = [];
+
+        this.alerts.forEach(alert => {
+            const value = this.getAlertValue(alert);
+            if (value === null) return;
+
+            const met = alert.condition === 'below' ? value <= alert.threshold : value >= alert.threshold;
+            alert.lastValue = value;
+
+            // Fire once when the condition starts holding, not on every refresh
+            if (met && !alert.triggered) {
+                newEvents.push({
+                    id: Date.now() + newEvents.length,
+                    alertId: alert.id,
+                    type: alert.type,
+                    title: alert.title,
+                    description: this.describeAlert(alert),
+                    value,
+                    threshold: alert.threshold,
+                    triggeredAt: new Date().toISOString(),
+                    read: false
+                });
+            }
+            alert.triggered = met;
+        });
+
+        // Keep the log from growing without bound
+        this.alertEvents = [...newEvents, ...this.alertEvents].slice(0, 200);
+        this.saveAlerts();
+        this.updateAlertsBadge();
+
+        if (newEvents.length > 0) {
+            this.showSuccess(`${newEvents.length} alert${newEvents.length === 1 ? '' : 's'} triggered`);
+        }
+    }
+
+    describeAlert(alert) {
+        const direction = alert.condition === 'below' ? 'drops to or below' : 'reaches or exceeds';
+        const subject = {
+            profit: 'Profit per craft',
+            price: 'Market price',
+            stock: 'Listed quantity'
+        }[alert.type] || 'Value';
+        return `${subject} ${direction} ${this.formatAlertValue(alert.type, alert.threshold)}`;
+    }
+
+    formatAlertValue(type, value) {
+        return type === 'stock' ? `${value} units` : this.formatCurrency(value);
+    }
+
+    updateAlertsBadge() {
+        const badge = document.getElementById('alertsBadge');
+        if (!badge) return;
+
+        const unread = this.alertEvents.filter(event => !event.read).length;
+        badge.textContent = unread;
+        badge.style.display = unread > 0 ? 'inline-block' : 'none';
+    }
+
+    markAlertEventsRead() {
+        if (!this.alertEvents.some(event => !event.read)) return;
+
+        this.alertEvents.forEach(event => { event.read = true; });
+        this.saveAlerts();
+        this.updateAlertsBadge();
+    }
+
+    clearAlertEvents() {
+        this.alertEvents = [];
+        this.saveAlerts();
+        this.updateAlertsBadge();
+        this.updateAlerts();
+    }
+
     showRecipeDetails(recipeId) {
-        const recipe = this.filteredRecipes.find(r => r.recipe_id === recipeId);
+        const recipe = this.findRecipe(recipeId);
         if (!recipe) return;
 
         const modal = document.getElementById('recipeModal');
@@ -1201,16 +5789,25 @@ class CraftingProPlatform {
                 <div class="recipe-overview">
                     <div class="overview-left">
                         <div class="recipe-title-section">
-                            <h3>${recipe.name}</h3>
+                            <h3>${this.escapeHtml(recipe.name)}</h3>
                             <div class="recipe-badges">
                                 <span class="profession-badge" data-profession="${recipe.profession}">${recipe.profession}</span>
                                 <span class="skill-level">Level ${recipe.skill_level}</span>
                             </div>
+                            ${this.recipeIssues.has(recipe.recipe_id) ? `
+                                <div class="calc-warning">
+                                    <i class="fas fa-exclamation-triangle"></i>
+                                    <div>
+                                        <strong>Profit may be unreliable</strong>
+                                        ${this.recipeIssues.get(recipe.recipe_id).map(issue => `<div>${issue}</div>`).join('')}
+                                    </div>
+                                </div>
+                            ` : ''}
                         </div>
                         <div class="key-metrics">
                             <div class="metric-item">
                                 <span class="metric-label">Profit</span>
-                                <span class="metric-value ${this.getProfitClass(recipe.profit)}">${this.formatCurrency(recipe.profit)}</span>
+                                <span class="metric-value ${this.getProfitClass(recipe.profit)}" id="modalProfit">${this.formatCurrency(recipe.profit)}</span>
                             </div>
                             <div class="metric-item">
                                 <span class="metric-label">ROI</span>
@@ -1220,7 +5817,7 @@ class CraftingProPlatform {
                                 <span class="metric-label">Trend</span>
                                 <span class="metric-value ${recipe.trend.direction === 'up' ? 'positive' : recipe.trend.direction === 'down' ? 'negative' : 'neutral'}">
                                     <i class="fas fa-arrow-${recipe.trend.direction === 'up' ? 'up' : recipe.trend.direction === 'down' ? 'down' : 'right'}"></i>
-                                    ${recipe.trend.change > 0 ? '+' : ''}${recipe.trend.change}%
+                                    ${this.formatTrendChange(recipe.trend)}
                                 </span>
                             </div>
                         </div>
@@ -1228,10 +5825,11 @@ class CraftingProPlatform {
                     <div class="overview-right">
                         <div class="result-summary">
                             <div class="result-label">Creates</div>
-                            <div class="result-name">${recipe.resultName}</div>
-                            <div class="result-quantity">${recipe.result_quantity}x</div>
+                            <div class="result-name">${this.escapeHtml(recipe.resultName)}</div>
+                            <div class="result-quantity">${this.renderRecipeYield(recipe)}</div>
                             <div class="result-value">${this.formatCurrency(recipe.resultValue)}</div>
                         </div>
+                        ${this.renderOtherProducers(recipe)}
                     </div>
                 </div>
 
@@ -1254,9 +5852,14 @@ class CraftingProPlatform {
                                 </div>
                             ` : ''}
                             <div class="cost-item">
-                                <span>Market Value</span>
+                                <span>${{ vendor: 'Vendor Sell Price', disenchant: 'Disenchant Value' }[recipe.resultExit] || 'Market Value'}</span>
                                 <span>${this.formatCurrency(recipe.resultValue)}</span>
                             </div>
+                            ${this.renderDisenchantBreakdown(recipe)}
+                            <div class="cost-item fees">
+                                <span>AH Fees (${this.describeFeeSettings()})</span>
+                                <span class="negative">-${this.formatCurrency(recipe.fees.total)}</span>
+                            </div>
                             <div class="cost-item total ${this.getProfitClass(recipe.profit)}">
                                 <span><strong>Net Profit</strong></span>
                                 <span><strong>${this.formatCurrency(recipe.profit)}</strong></span>
@@ -1273,12 +5876,12 @@ class CraftingProPlatform {
                             <div class="material-row">
                                 <div class="material-info">
                                     <div class="material-main">
-                                        <span class="material-name">${material.name}</span>
+                                        <span class="material-name">${this.escapeHtml(material.name)}</span>
                                         <span class="material-qty">${material.quantity}x</span>
                                     </div>
                                     <div class="material-meta">
                                         <span class="material-stock">${material.available} available</span>
-                                        ${this.getCostSourceBadge(material.costSource)}
+                                        ${this.getCostSourceBadge(material.costSource, material.craftingMethod)}
                                     </div>
                                 </div>
                                 <div class="material-costs">
@@ -1295,11 +5898,23 @@ class CraftingProPlatform {
                                         }
                                     </div>
                                 </div>
+                                ${this.renderRecipeAlternatives(material.craftingAlternatives, material.craftingRecipeId)}
                             </div>
                         `).join('')}
                     </div>
                 </div>
 
+                <!-- Craft vs Buy Tree -->
+                <div class="materials-section">
+                    <div class="cost-tree-header">
+                        <h4>Craft vs Buy Tree</h4>
+                        <button class="btn btn-outline btn-sm" id="resetCostTree" onclick="platform.resetCostTreeOverrides()">
+                            <i class="fas fa-undo"></i> Reset Choices
+                        </button>
+                    </div>
+                    <div id="costTree"></div>
+                </div>
+
                 <!-- Action Buttons -->
                 <div class="modal-actions">
                     <button class="btn btn-outline" onclick="platform.addToPortfolio(${recipe.recipe_id})">
@@ -1311,10 +5926,180 @@ class CraftingProPlatform {
                 </div>
             `;
         }
+
+        // Keep forced choices while the same recipe is re-rendered (e.g. after a custom cost change)
+        if (this.costTreeRecipeId !== recipeId) {
+            this.costTreeRecipeId = recipeId;
+            this.costTreeOverrides = {};
+            this.costTreeExpanded = new Set();
+        }
+        this.renderCostTree();
         
         if (modal) modal.style.display = 'block';
     }
 
+    renderCostTree() {
+        const container = document.getElementById('costTree');
+        const recipe = this.recipes.find(r => r.recipe_id === this.costTreeRecipeId);
+        if (!container || !recipe) return;
+
+        const tree = this.buildCostTree(recipe, this.costTreeOverrides);
+        const hasOverrides = Object.keys(this.costTreeOverrides).length > 0;
+
+        container.innerHTML = `
+            <div class="cost-tree-summary">
+                <span>Materials: ${this.formatCurrency(tree.materialsCost)}</span>
+                <span>Result: ${this.formatCurrency(tree.resultValue)}</span>
+                <span>Fees: ${this.formatCurrency(tree.fees.total)}</span>
+                <span>Profit${hasOverrides ? ' (with your choices)' : ''}:
+                    <strong class="${this.getProfitClass(tree.profit)}">${this.formatCurrency(tree.profit)}</strong>
+                </span>
+            </div>
+            <ul class="cost-tree">
+                ${tree.materials.map(node => this.renderCostNode(node)).join('')}
+            </ul>
+        `;
+
+        container.querySelectorAll('details').forEach(details => {
+            details.addEventListener('toggle', () => {
+                if (details.open) {
+                    this.costTreeExpanded.add(details.dataset.path);
+                } else {
+                    this.costTreeExpanded.delete(details.dataset.path);
+                }
+            });
+        });
+
+        const modalProfit = document.getElementById('modalProfit');
+        if (modalProfit) {
+            modalProfit.innerHTML = this.formatCurrency(tree.profit);
+            modalProfit.className = `metric-value ${this.getProfitClass(tree.profit)}`;
+        }
+
+        const resetButton = document.getElementById('resetCostTree');
+        if (resetButton) resetButton.style.display = hasOverrides ? '' : 'none';
+    }
+
+    renderCostNode(node) {
+        const quantity = Number.isInteger(node.quantity) ? node.quantity : node.quantity.toFixed(2);
+        const choiceButton = (mode, label, disabled = false) => `
+            <button class="btn btn-outline btn-sm ${(node.forced || null) === mode ? 'active' : ''}" ${disabled ? 'disabled' : ''}
+                onclick="event.preventDefault(); event.stopPropagation(); platform.setCostTreeOverride('${node.path}', ${mode ? `'${mode}'` : 'null'})">
+                ${label}
+            </button>
+        `;
+
+        const row = `
+            <div class="cost-node ${node.forced ? 'forced' : ''}">
+                <div class="cost-node-main">
+                    <span class="material-name">${this.escapeHtml(node.name)}</span>
+                    <span class="material-qty">${quantity}x</span>
+                    ${this.getCostSourceBadge(node.costSource, node.craftingMethod)}
+                </div>
+                <div class="cost-node-prices">
+                    <span>Market: ${node.marketCost > 0 ? this.formatCurrency(node.marketCost) : 'n/a'}</span>
+                    ${node.vendorCost > 0 ? `<span>Vendor: ${this.formatCurrency(node.vendorCost)}</span>` : ''}
+                    <span>Craft: ${node.craftingCost !== null ? this.formatCurrency(node.craftingCost) : 'n/a'}</span>
+                    <span class="total-cost">${this.formatCurrency(node.totalCost)}</span>
+                </div>
+                <div class="cost-node-reason">${this.describeCostDecision(node)}</div>
+                ${this.renderRecipeAlternatives(node.alternatives, node.costSource === 'crafting' ? node.alternatives[0]?.recipeId : null)}
+                ${node.recipeName ? `
+                    <div class="cost-node-actions">
+                        ${choiceButton('market', 'Buy')}
+                        ${choiceButton('crafting', 'Craft', node.craftingCost === null)}
+                        ${choiceButton(null, 'Auto')}
+                    </div>
+                ` : ''}
+            </div>
+        `;
+
+        if (node.children.length === 0) return `<li>${row}</li>`;
+
+        return `
+            <li>
+                <details data-path="${node.path}" ${this.costTreeExpanded.has(node.path) ? 'open' : ''}>
+                    <summary>${row}</summary>
+                    <ul class="cost-tree">
+                        ${node.children.map(child => this.renderCostNode(child)).join('')}
+                    </ul>
+                </details>
+            </li>
+        `;
+    }
+
+    renderRecipeAlternatives(alternatives = [], chosenRecipeId = null) {
+        // Only worth showing when there's an actual choice between recipes
+        if (alternatives.length < 2) return '';
+
+        return `
+            <div class="recipe-alternatives">
+                <span class="alternatives-label">Recipes:</span>
+                ${alternatives.map(alternative => `
+                    <span class="alternative ${alternative.recipeId === chosenRecipeId ? 'chosen' : ''}">
+                        ${this.escapeHtml(alternative.name)} (${alternative.profession}):
+                        ${alternative.craftingCost !== null ? this.formatCurrency(alternative.craftingCost) : 'no price'}
+                    </span>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    renderOtherProducers(recipe) {
+        const others = this.getProducers(recipe.result_item_id)
+            .filter(other => other.recipe_id !== recipe.recipe_id)
+            .map(other => this.findRecipe(other.recipe_id))
+            .filter(Boolean);
+        if (others.length === 0) return '';
+
+        return `
+            <div class="recipe-alternatives">
+                <span class="alternatives-label">Also produced by:</span>
+                ${others.map(other => `
+                    <span class="alternative ${other.materialsCost < recipe.materialsCost ? 'cheaper' : ''}">
+                        ${this.escapeHtml(other.name)} (${other.profession}): ${this.formatCurrency(other.materialsCost)}
+                    </span>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    describeCostDecision(node) {
+        switch (node.reason) {
+            case 'forced':
+                return `Forced to ${node.costSource === 'crafting' ? 'craft' : 'buy'}`;
+            case 'custom':
+                return 'Custom price set';
+            case 'no-market':
+                return `No market listing, ${node.craftingMethod ? 'made' : 'crafted'} via ${this.escapeHtml(node.recipeName)}`;
+            case 'cheaper-to-craft':
+                return `${this.conversionTypes[node.craftingMethod]?.verb || 'Crafting'} saves ${this.formatCurrency(node.buyCost - node.craftingCost)} each`;
+            case 'cheaper-to-buy':
+                return `Buying saves ${this.formatCurrency(node.craftingCost - node.buyCost)} each`;
+            case 'vendor':
+                return `Sold by vendors for ${this.formatCurrency(node.vendorCost)} each`;
+            case 'not-craftable':
+            default:
+                if (node.circular) return 'Circular recipe chain, bought instead';
+                if (node.recipeName) return 'Crafting inputs have no price data';
+                return node.marketCost > 0 ? 'No recipe, bought from market' : 'No price data available';
+        }
+    }
+
+    setCostTreeOverride(path, mode) {
+        if (mode) {
+            this.costTreeOverrides[path] = mode;
+        } else {
+            delete this.costTreeOverrides[path];
+        }
+        this.renderCostTree();
+    }
+
+    resetCostTreeOverrides() {
+        this.costTreeOverrides = {};
+        this.renderCostTree();
+    }
+
     openCalculatorWithRecipe(recipeId) {
         this.closeModal('recipeModal');
         this.switchTab('calculator');
@@ -1328,7 +6113,7 @@ class CraftingProPlatform {
     }
 
     addToPortfolio(recipeId) {
-        const recipe = this.filteredRecipes.find(r => r.recipe_id === recipeId);
+        const recipe = this.findRecipe(recipeId);
         if (!recipe) return;
 
         const portfolioItem = {
@@ -1345,12 +6130,14 @@ class CraftingProPlatform {
 
         this.portfolio.push(portfolioItem);
         this.savePortfolio();
-        this.showSuccess(`${recipe.name} added to portfolio!`);
+        this.showSuccess(`${this.escapeHtml(recipe.name)} added to portfolio!`);
     }
 
     closeModal(modalId) {
         const modal = document.getElementById(modalId);
         if (modal) modal.style.display = 'none';
+        if (modalId === 'alertModal') this.editingAlertId = null;
+        if (modalId === 'characterModal') this.editingCharacterId = null;
     }
 
     formatCurrency(amount) {
@@ -1370,12 +6157,57 @@ class CraftingProPlatform {
         return isNegative ? '-' + result.trim() : result.trim();
     }
 
-    getCostSourceBadge(costSource) {
+    renderRecipeYield(recipe) {
+        if (recipe.yieldModifiers.length === 0) return `${recipe.result_quantity}x`;
+
+        return `
+            ${this.formatQuantity(recipe.expectedQuantity)}x expected
+            <span class="yield-detail">
+                base ${recipe.result_quantity}x ·
+                ${recipe.yieldModifiers.map(modifier =>
+                    `${modifier.name}: ${Math.round(modifier.procChance * 100)}% for +${modifier.bonus * recipe.result_quantity}`).join(' · ')}
+            </span>
+        `;
+    }
+
+    formatQuantity(value) {
+        return Number.isInteger(value) ? `${value}` : value.toFixed(2);
+    }
+
+    escapeHtml(text) {
+        // Names typed or imported by the user end up in template strings, so they go in escaped
+        const entities = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+        return String(text ?? '').replace(/[&<>"']/g, char => entities[char]);
+    }
+
+    renderDisenchantBreakdown(recipe) {
+        const outputs = this.getDisenchantOutputs(recipe.result_item_id);
+        if (!outputs) return '';
+
+        const auctionPrice = this.getMarketPrice(recipe.result_item_id, null, 'result');
+        const auctionNet = auctionPrice * recipe.expectedQuantity -
+            this.getAuctionFees(recipe.result_item_id, auctionPrice, recipe.expectedQuantity).total;
+        const disenchant = this.getDisenchantValue(recipe.result_item_id);
+        return `
+            <div class="cost-item disenchant-breakdown">
+                <span>
+                    Disenchants into ${outputs.map(output =>
+                        `${output.quantity.toFixed(2)}x ${this.escapeHtml(this.auctionData[output.itemId]?.itemName || `Item ${output.itemId}`)}`).join(', ')}
+                    <small>(vs ${this.formatCurrency(auctionNet)} net on the auction house)</small>
+                </span>
+                <span>${this.formatCurrency((disenchant.value - disenchant.fees.total) * recipe.expectedQuantity)} net</span>
+            </div>
+        `;
+    }
+
+    getCostSourceBadge(costSource, craftingMethod = null) {
         switch (costSource) {
             case 'crafting':
-                return '<span class="cost-source-badge crafting">Crafted</span>';
+                return `<span class="cost-source-badge crafting">${this.conversionTypes[craftingMethod]?.label || 'Crafted'}</span>`;
             case 'custom':
                 return '<span class="cost-source-badge custom">Custom</span>';
+            case 'vendor':
+                return '<span class="cost-source-badge vendor">Vendor</span>';
             case 'market':
             default:
                 return '<span class="cost-source-badge market">Market</span>';
@@ -1422,7 +6254,8 @@ class CraftingProPlatform {
 }
 
 // Initialize the platform
-const platform = new CraftingProPlatform();
+// The pricing worker loads this file too, but only for the class
+const platform = typeof document !== 'undefined' ? new CraftingProPlatform() : null;
 
 // Add notification styles
 const notificationStyles = `
@@ -1468,4 +6301,4 @@ const notificationStyles = `
 </style>
 `;
 
-document.head.insertAdjacentHTML('beforeend', notificationStyles);
\ No newline at end of file
+if (typeof document !== 'undefined') document.head.insertAdjacentHTML('beforeend', notificationStyles);
\ No newline at end of file
@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createPlatform } = require('./load-platform');
+
+function pricedRecipe(recipeId, skillLevel, materialsCost, resultValue) {
+    return {
+        recipe_id: recipeId,
+        name: `Recipe ${recipeId}`,
+        profession: 'Tailoring',
+        skill_level: skillLevel,
+        materialDetails: [{ itemId: 2589, name: 'Linen Cloth', quantity: 1, unitCost: materialsCost, costSource: 'market' }],
+        materialsCost,
+        resultValue,
+        fees: { cut: 0, deposit: 0, total: 0 }
+    };
+}
+
+test('a profitable craft that rarely skills up does not beat a profitable one that always does', () => {
+    const platform = createPlatform();
+    platform.levelingMinChance = 0.05;
+    platform.processedRecipes = [
+        // Always orange at skill 100, small profit
+        pricedRecipe(1, 100, 100, 150),
+        // Nearly grey at skill 100 (chance 0.06), larger profit per craft
+        pricedRecipe(2, 28, 100, 400)
+    ];
+
+    const plan = platform.planLeveling('Tailoring', 100, 101);
+    assert.strictEqual(plan.steps.length, 1);
+    assert.strictEqual(plan.steps[0].recipe.recipe_id, 1);
+    assert.strictEqual(plan.steps[0].crafts, 1);
+});
+
+test('the cheapest costly craft per skill point still wins when nothing is profitable', () => {
+    const platform = createPlatform();
+    platform.levelingMinChance = 0.05;
+    platform.processedRecipes = [
+        pricedRecipe(1, 100, 300, 100),
+        pricedRecipe(2, 100, 200, 100)
+    ];
+
+    const plan = platform.planLeveling('Tailoring', 100, 101);
+    assert.strictEqual(plan.steps[0].recipe.recipe_id, 2);
+    assert.strictEqual(plan.totalCost, 100);
+});
@@ -0,0 +1,15 @@
+// Loads script.js the way pricing-worker.js does: no DOM, no localStorage, engine only.
+// Run the tests with `node --test tests/`.
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const source = fs.readFileSync(path.join(__dirname, '..', 'script.js'), 'utf8');
+
+function createPlatform() {
+    const context = vm.createContext({ console, setTimeout, clearTimeout });
+    vm.runInContext(`${source}\nthis.CraftingProPlatform = CraftingProPlatform;`, context);
+    return new context.CraftingProPlatform({ worker: true });
+}
+
+module.exports = { createPlatform };
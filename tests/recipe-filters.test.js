@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createPlatform } = require('./load-platform');
+
+function pricedRecipe(recipeId, profit) {
+    return {
+        recipe_id: recipeId,
+        name: `Recipe ${recipeId}`,
+        profession: 'Tailoring',
+        skill_level: 100,
+        materialDetails: [],
+        materialsCost: 10000,
+        resultValue: 10000 + profit,
+        profit,
+        roi: profit / 100,
+        margin: 0
+    };
+}
+
+// Runs a filter request the way the page sends it to the pricing worker
+function filterIds(platform, recipeFilters) {
+    return new Promise((resolve, reject) => {
+        platform.handlePricingMessage({ id: 1, action: 'filter', itemIds: [], state: { recipeFilters } }, response => {
+            if (response.type === 'error') reject(new Error(response.message));
+            else if (response.type === 'result') resolve(response.filteredIds);
+        });
+    });
+}
+
+function createPricedPlatform() {
+    const platform = createPlatform();
+    platform.processedRecipes = [pricedRecipe(1, 25000), pricedRecipe(2, -5000), pricedRecipe(3, -20000)];
+    return platform;
+}
+
+test('no filters keep loss-making recipes', async () => {
+    const platform = createPricedPlatform();
+    const ids = await filterIds(platform, { profession: '', minProfit: null, query: null });
+    assert.deepStrictEqual(ids, [1, 2, 3]);
+});
+
+test('negative profit queries match through the filter pipeline', async () => {
+    const platform = createPricedPlatform();
+    const query = (text) => ({ profession: '', minProfit: null, query: platform.parseRecipeQuery(text) });
+
+    assert.deepStrictEqual(await filterIds(platform, query('profit<0')), [2, 3]);
+    assert.deepStrictEqual(await filterIds(platform, query('profit>-1g')), [1, 2]);
+    assert.deepStrictEqual(await filterIds(platform, query('profit<-1g')), [3]);
+});
+
+test('a minimum profit still hides recipes below it', async () => {
+    const platform = createPricedPlatform();
+    const ids = await filterIds(platform, { profession: '', minProfit: 0, query: null });
+    assert.deepStrictEqual(ids, [1]);
+});